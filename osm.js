@@ -1,4 +1,5 @@
 const { Database, aql } = require('arangojs');
+const { AsyncLocalStorage } = require('async_hooks');
 
 /**
  * Iterative Administrative Boundaries Importer for ArangoDB
@@ -17,29 +18,112 @@ const Config = {
     url: 'http://127.0.0.1:8529',
     name: 'gigstarp_dev',
     username: 'root',
-    password: 'test_db',
+    password: '', // Set ARANGO_PASSWORD or use a config file rather than editing this
   },
 
   osm: {
-    overpassUrl: 'https://overpass-api.de/api/interpreter',
+    // Tried in order, failing over when one is down or out of slots. A
+    // self-hosted instance can be listed first, e.g.
+    // { name: 'local', url: 'http://localhost:12345/api/interpreter' }
+    endpoints: [
+      {
+        name: 'overpass-api.de',
+        url: 'https://overpass-api.de/api/interpreter',
+      },
+      {
+        name: 'kumi.systems',
+        url: 'https://overpass.kumi.systems/api/interpreter',
+      },
+    ],
     timeout: 250000, // 250 seconds per query
-    maxRetries: 3,
-    retryDelay: 5000, // 5 seconds initial
-    rateLimitDelay: 2000, // 2 seconds between requests
+    maxRetries: 3, // Attempts per endpoint
+    retryDelay: 5000, // 5 seconds initial backoff without Retry-After
+    circuitBreakerThreshold: 3, // Consecutive failures before an endpoint is skipped
+    circuitBreakerResetMs: 120000, // How long a failed endpoint is skipped
+    maxSplitDepth: 3, // Bbox quadrant splits for oversized queries (up to 4^3 tiles)
+    parentsPerQuery: 25, // Parents per batched level query
   },
 
   processing: {
     batchSize: 1000,
     maxAdminLevel: 10, // Maximum admin level to fetch
+    levelCap: null, // Upper bound on every country's maxAdminLevel, profiles included (--max-level)
     startAdminLevel: 2, // Start from country level
-    skipProcessedCountries: true, // Skip countries that have been processed
-    minBoundariesThreshold: 1, // Minimum boundaries to consider country as processed
+    minBoundariesThreshold: 1, // Minimum boundaries to consider a country without import job as processed
+    checkpointInterval: 10, // Persist the resume frontier every N parents
+    batchLevelQueries: true, // Query all parents of a level together instead of one by one
+    hierarchyStrategy: 'spatial', // Link children by 'spatial' containment; 'subarea' members or 'both' are opt-in
+    levelStrategy: 'per-level', // 'per-level' or 'deepest-ancestor' (every lower level per parent, for mixed-depth countries)
+    fetchGeometry: true, // Fetch member ways and store boundary shapes as GeoJSON
+    deletedBoundaries: 'mark', // Boundaries gone from OSM: 'mark' (deleted: true) or 'remove'
+    atomicSwap: true, // Stage each country's import and publish it in one transaction
+    nameLanguages: ['en'], // name:<lang> tags tried in order for the display name, before `name`
+    // Tags copied to each boundary's `codes` map ('*' matches anything)
+    codeTags: [
+      'ref',
+      'ref:*',
+      'ISO3166-*',
+      '*:regionalschluessel',
+      '*:amtlicher_gemeindeschluessel',
+      'nuts:*',
+      'unlocode',
+    ],
+    levelProfiles: null, // JSON/YAML file of per-country admin level profiles keyed by ISO2
+    adjacency: false, // After each import, link same-level boundaries sharing border ways
+    parentOverlapMargin: 0.2, // Overlap lead below which a child's parent choice is flagged ambiguous
+    // When an already imported country is processed again (otherwise skipped)
+    reimport: {
+      maxAgeDays: null, // Last successful import older than this (null = never by age, 0 = always)
+      onMaxLevelRaised: true, // Imported with a lower maxAdminLevel than configured now
+      mode: 'update', // 'update' (incremental, like --update) or 'force' (full re-import)
+    },
+  },
+
+  scheduler: {
+    daemon: false, // Work through due countries, stalest first (--daemon)
+    maxRuntimeMs: null, // No new country is started after this long (null = no limit)
+    maxRequests: null, // No new country is started after this many Overpass requests (null = no limit)
+    pollIntervalMs: 15 * 60 * 1000, // Wait when nothing is due, and before retrying a failed country
+  },
+
+  source: {
+    type: 'overpass', // 'overpass' or 'file'
+    file: null, // Path to a .osm.pbf / .osm / .osm.gz extract when type is 'file'
+  },
+
+  search: {
+    view: 'adminBoundariesSearch', // ArangoSearch view over boundary names
+    ngramAnalyzer: 'boundary_name_prefix', // Per-word edge n-grams, for autocomplete
+    normAnalyzer: 'boundary_name_norm', // Whole name, lower-cased and accent-free
+    locale: 'en',
+    minGram: 2,
+    maxGram: 16,
+    fuzzyDistance: 1, // Typos tolerated in a whole name (0 = exact and prefix only)
+    limit: 10,
+  },
+
+  cache: {
+    // 'off', 'read-write' (serve fresh entries, fetch and store misses),
+    // 'record' (always fetch and overwrite) or 'replay' (cache only, fail on miss)
+    mode: 'off',
+    dir: '.overpass-cache',
+    ttlMs: 7 * 24 * 60 * 60 * 1000, // 7 days (ignored in replay mode)
+  },
+
+  history: {
+    maxLevelDrop: 0.05, // `status` flags (and exits 1 on) a level that lost more than this share since the previous run
   },
 
   collections: {
     COUNTRY_METADATA: 'countryMetadata',
     ADMIN_BOUNDARIES: 'adminBoundaries',
     ADMIN_BOUNDARY_EDGES: 'adminBoundaryEdges',
+    IMPORT_JOBS: 'importJobs',
+    IMPORT_RUNS: 'importRuns',
+    IMPORT_RUN_COUNTRIES: 'importRunCountries',
+    ADMIN_BOUNDARIES_STAGING: 'adminBoundariesStaging',
+    ADMIN_BOUNDARY_EDGES_STAGING: 'adminBoundaryEdgesStaging',
+    ADMIN_BOUNDARY_ADJACENCY: 'adminBoundaryAdjacency',
   },
 };
 
@@ -56,10 +140,315 @@ const ADMIN_LEVEL_METADATA = {
   11: { name: 'Block/Locality', priority: 9 },
 };
 
+// Name tags collected into a boundary's `names` map, each optionally
+// suffixed with a language (`name:de`, `official_name:fr`)
+const NAME_TAG_KEYS = [
+  'name',
+  'official_name',
+  'alt_name',
+  'old_name',
+  'short_name',
+  'int_name',
+];
+const LANGUAGE_PATTERN = /^[a-z]{2,3}(-[A-Za-z0-9]+)*$/;
+
+/**
+ * Tag key glob ('*' matches anything) as an anchored RegExp
+ */
+function tagKeyPattern(glob) {
+  const parts = glob
+    .split('*')
+    .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'));
+  return new RegExp(`^${parts.join('.*')}$`);
+}
+
+/**
+ * Member way coordinates are needed to store shapes and to resolve
+ * containment locally
+ */
+function needsMemberGeometry(config) {
+  return (
+    config.processing.fetchGeometry ||
+    config.processing.levelStrategy === 'deepest-ancestor'
+  );
+}
+
+// ============================================================================
+// CONFIGURATION LOADING - File, environment and command line layers
+// ============================================================================
+
+// The built-in defaults double as the schema: a setting keeps its
+// default's type (integer defaults only take integers)
+const DEFAULT_CONFIG = JSON.parse(JSON.stringify(Config));
+
+// Settings that default to null, with the type they take when set
+const NULLABLE_SETTINGS = {
+  'processing.levelCap': 'integer',
+  'processing.levelProfiles': 'string',
+  'processing.reimport.maxAgeDays': 'number',
+  'scheduler.maxRuntimeMs': 'integer',
+  'scheduler.maxRequests': 'integer',
+  'source.file': 'string',
+  'osm.endpoints[].statusUrl': 'string',
+};
+
+// Element schema of array settings whose defaults don't use every key
+const SETTING_ELEMENTS = {
+  'osm.endpoints': { name: '', url: '', statusUrl: null },
+};
+
+const SETTING_CHOICES = {
+  'processing.hierarchyStrategy': ['spatial', 'subarea', 'both'],
+  'processing.levelStrategy': ['per-level', 'deepest-ancestor'],
+  'processing.deletedBoundaries': ['mark', 'remove'],
+  'processing.reimport.mode': ['update', 'force'],
+  'source.type': ['overpass', 'file'],
+  'cache.mode': ['off', 'read-write', 'record', 'replay'],
+};
+
+// Environment variables and the setting each one overrides
+const CONFIG_ENV_VARS = {
+  ARANGO_URL: 'database.url',
+  ARANGO_DATABASE: 'database.name',
+  ARANGO_USERNAME: 'database.username',
+  ARANGO_PASSWORD: 'database.password',
+};
+
+const SECRET_SETTING = /password|secret|token/i;
+
+// user:password@ in a URL such as ARANGO_URL
+const URL_USERINFO = /^([a-z][a-z\d+.-]*:\/\/)[^/?#@]*@/i;
+
+/**
+ * Settings that failed validation; `problems` lists every one of them
+ */
+class ConfigError extends Error {
+  constructor(problems, source = null) {
+    super(
+      `Invalid configuration${source ? ` in ${source}` : ''}:\n${problems
+        .map((problem) => `  - ${problem}`)
+        .join('\n')}`,
+    );
+    this.name = 'ConfigError';
+    this.problems = problems;
+  }
+}
+
+/**
+ * JSON, or YAML for .yml / .yaml files (needs the optional `yaml` package)
+ */
+function parseDataFile(text, file) {
+  if (!/\.ya?ml$/i.test(file)) return JSON.parse(text);
+  let yaml;
+  try {
+    yaml = require('yaml');
+  } catch {
+    throw new Error(
+      `Reading ${file} needs the "yaml" package (npm install yaml), or use a JSON file`,
+    );
+  }
+  return yaml.parse(text);
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Deep-merge `source` into `target`; arrays and scalars are replaced
+ */
+function mergeSettings(target, source) {
+  for (const [key, value] of Object.entries(source)) {
+    if (isPlainObject(value) && isPlainObject(target[key])) {
+      mergeSettings(target[key], value);
+    } else {
+      target[key] = value;
+    }
+  }
+  return target;
+}
+
+/**
+ * Set a dotted setting path, creating the sections on the way
+ */
+function setSetting(config, path, value) {
+  const keys = path.split('.');
+  const last = keys.pop();
+  let section = config;
+  for (const key of keys) {
+    if (!isPlainObject(section[key])) section[key] = {};
+    section = section[key];
+  }
+  section[last] = value;
+  return config;
+}
+
+function settingType(value) {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+/**
+ * Unknown keys, wrong types and invalid choices in (part of) a config,
+ * measured against the defaults
+ */
+function validateSettings(settings, schema = DEFAULT_CONFIG, path = '') {
+  const problems = [];
+
+  for (const [key, value] of Object.entries(settings)) {
+    const name = path ? `${path}.${key}` : key;
+    if (!Object.prototype.hasOwnProperty.call(schema, key)) {
+      problems.push(`unknown setting ${name}`);
+      continue;
+    }
+
+    const expected =
+      schema[key] === null
+        ? NULLABLE_SETTINGS[name.replace(/\.\d+(?=\.)/g, '[]')]
+        : settingType(schema[key]);
+    const actual = settingType(value);
+    if (actual === 'null' && schema[key] === null) continue;
+    if (
+      actual !== expected &&
+      !(expected === 'number' && actual === 'integer')
+    ) {
+      problems.push(
+        `${name} must be ${/^[aeiou]/.test(expected) ? 'an' : 'a'} ${expected}${
+          schema[key] === null ? ' or null' : ''
+        } (got ${JSON.stringify(value)})`,
+      );
+      continue;
+    }
+
+    if (actual === 'object') {
+      problems.push(...validateSettings(value, schema[key], name));
+    } else if (actual === 'array' && schema[key].length > 0) {
+      // Elements are checked against the first default element
+      const element = SETTING_ELEMENTS[name] || schema[key][0];
+      value.forEach((item, i) => {
+        problems.push(
+          ...validateSettings({ [i]: item }, { [i]: element }, name).map(
+            (problem) => problem.replace(`${name}.${i}`, `${name}[${i}]`),
+          ),
+        );
+      });
+    }
+
+    if (SETTING_CHOICES[name] && !SETTING_CHOICES[name].includes(value)) {
+      problems.push(
+        `${name} must be one of ${SETTING_CHOICES[name].join(', ')} (got ${JSON.stringify(value)})`,
+      );
+    }
+  }
+  return problems;
+}
+
+/**
+ * Rules across settings, for a complete (merged) config
+ */
+function checkSettings(config) {
+  const problems = [];
+  const { startAdminLevel, maxAdminLevel } = config.processing;
+  if (startAdminLevel > maxAdminLevel) {
+    problems.push(
+      `processing.startAdminLevel (${startAdminLevel}) is greater than processing.maxAdminLevel (${maxAdminLevel})`,
+    );
+  }
+  if (config.source.type === 'file' && !config.source.file) {
+    problems.push("source.file is required when source.type is 'file'");
+  }
+  const { levelStrategy, hierarchyStrategy } = config.processing;
+  if (levelStrategy === 'deepest-ancestor' && hierarchyStrategy !== 'spatial') {
+    problems.push(
+      `processing.levelStrategy 'deepest-ancestor' needs processing.hierarchyStrategy 'spatial' (got '${hierarchyStrategy}')`,
+    );
+  }
+  if (config.osm.endpoints.length === 0) {
+    problems.push('osm.endpoints needs at least one endpoint');
+  }
+  config.osm.endpoints.forEach((endpoint, i) => {
+    if (!endpoint.url) problems.push(`osm.endpoints[${i}].url is required`);
+  });
+  return problems;
+}
+
+/**
+ * Resolve the configuration from its layers, each overriding the last:
+ * built-in defaults, a JSON/YAML file, environment variables (ARANGO_URL,
+ * ...) and `overrides` from the command line. Throws ConfigError listing
+ * every problem.
+ */
+async function loadConfig({
+  file = null,
+  env = process.env,
+  overrides = {},
+} = {}) {
+  const config = JSON.parse(JSON.stringify(DEFAULT_CONFIG));
+
+  if (file) {
+    let settings;
+    try {
+      const text = await require('fs').promises.readFile(file, 'utf8');
+      settings = parseDataFile(text, file);
+    } catch (err) {
+      throw new ConfigError([err.message], file);
+    }
+    if (!isPlainObject(settings)) {
+      throw new ConfigError(['expected an object of settings'], file);
+    }
+    const problems = validateSettings(settings);
+    if (problems.length > 0) throw new ConfigError(problems, file);
+    mergeSettings(config, settings);
+  }
+
+  for (const [name, path] of Object.entries(CONFIG_ENV_VARS)) {
+    if (env[name] != null && env[name] !== '') {
+      setSetting(config, path, env[name]);
+    }
+  }
+  mergeSettings(config, overrides);
+
+  const problems = [...validateSettings(config), ...checkSettings(config)];
+  if (problems.length > 0) throw new ConfigError(problems);
+  return config;
+}
+
+/**
+ * Make a resolved config the one every service reads (they all share the
+ * Config object)
+ */
+function applyConfig(config) {
+  for (const key of Object.keys(Config)) delete Config[key];
+  Object.assign(Config, config);
+  return Config;
+}
+
+/**
+ * Copy of a config with passwords, secrets, tokens and credentials in URLs
+ * masked, for printing
+ */
+function redactConfig(config) {
+  if (Array.isArray(config)) return config.map(redactConfig);
+  if (typeof config === 'string') return config.replace(URL_USERINFO, '$1***@');
+  if (!isPlainObject(config)) return config;
+  return Object.fromEntries(
+    Object.entries(config).map(([key, value]) => [
+      key,
+      SECRET_SETTING.test(key) && value ? '***' : redactConfig(value),
+    ]),
+  );
+}
+
 // ============================================================================
 // DATABASE SERVICE
 // ============================================================================
 
+// Run outcomes of a country whose boundaries were all imported ('partial':
+// an optional pass such as adjacency failed)
+const COMPLETE_OUTCOMES = ['processed', 'partial'];
+
 class DatabaseService {
   constructor(config) {
     this.config = config;
@@ -92,6 +481,25 @@ class DatabaseService {
       await this.ensureCollection(Config.collections.ADMIN_BOUNDARY_EDGES, {
         type: 3,
       });
+      await this.ensureCollection(Config.collections.IMPORT_JOBS, {
+        type: 2,
+      });
+      await this.ensureCollection(Config.collections.IMPORT_RUNS, {
+        type: 2,
+      });
+      await this.ensureCollection(Config.collections.IMPORT_RUN_COUNTRIES, {
+        type: 2,
+      });
+      await this.ensureCollection(Config.collections.ADMIN_BOUNDARIES_STAGING, {
+        type: 2,
+      });
+      await this.ensureCollection(
+        Config.collections.ADMIN_BOUNDARY_EDGES_STAGING,
+        { type: 3 },
+      );
+      await this.ensureCollection(Config.collections.ADMIN_BOUNDARY_ADJACENCY, {
+        type: 3,
+      });
 
       // Create indexes for boundaries collection
       const boundariesCol = this.db.collection(
@@ -127,7 +535,29 @@ class DatabaseService {
           name: 'idx_parent',
           sparse: true,
         },
-        { type: 'fulltext', fields: ['name'], name: 'idx_name_fulltext' },
+        {
+          type: 'persistent',
+          fields: ['ancestor_ids[*]'],
+          name: 'idx_ancestors',
+        },
+        { type: 'persistent', fields: ['path'], name: 'idx_path' },
+        {
+          type: 'persistent',
+          fields: ['countryId', 'depth'],
+          name: 'idx_country_depth',
+        },
+        {
+          type: 'persistent',
+          fields: ['border_way_ids[*]'],
+          name: 'idx_border_ways',
+          sparse: true,
+        },
+        {
+          type: 'geo',
+          fields: ['geometry'],
+          geoJson: true,
+          name: 'idx_geometry',
+        },
       ];
 
       for (const index of indexes) {
@@ -150,6 +580,59 @@ class DatabaseService {
         unique: true,
         name: 'idx_edge_unique',
       });
+      await this.db
+        .collection(Config.collections.ADMIN_BOUNDARY_ADJACENCY)
+        .ensureIndex({
+          type: 'persistent',
+          fields: ['_from', '_to'],
+          unique: true,
+          name: 'idx_adjacency_unique',
+        });
+
+      // Staged runs are looked up by run and cleaned up by country
+      const stagingCol = this.db.collection(
+        Config.collections.ADMIN_BOUNDARIES_STAGING,
+      );
+      await stagingCol.ensureIndex({
+        type: 'persistent',
+        fields: ['run_id', 'osm_id'],
+        unique: true,
+        name: 'idx_run_osm_id',
+      });
+      await stagingCol.ensureIndex({
+        type: 'persistent',
+        fields: ['countryId'],
+        name: 'idx_country',
+      });
+      await this.db
+        .collection(Config.collections.ADMIN_BOUNDARY_EDGES_STAGING)
+        .ensureIndex({
+          type: 'persistent',
+          fields: ['run_id'],
+          name: 'idx_run',
+        });
+
+      await this.db.collection(Config.collections.IMPORT_RUNS).ensureIndex({
+        type: 'persistent',
+        fields: ['started_at'],
+        name: 'idx_started',
+      });
+
+      const runCountriesCol = this.db.collection(
+        Config.collections.IMPORT_RUN_COUNTRIES,
+      );
+      await runCountriesCol.ensureIndex({
+        type: 'persistent',
+        fields: ['run', 'countryId'],
+        name: 'idx_run_country',
+      });
+      await runCountriesCol.ensureIndex({
+        type: 'persistent',
+        fields: ['countryId', 'finished_at'],
+        name: 'idx_country_finished',
+      });
+
+      await this.ensureSearchView(boundariesCol);
 
       console.log('✅ Database initialized successfully');
     } catch (error) {
@@ -158,6 +641,76 @@ class DatabaseService {
     }
   }
 
+  /**
+   * Name analyzers and the ArangoSearch view over boundary names, which
+   * replace the legacy fulltext index. Existing analyzers and views are
+   * kept as they are; drop them to apply changed `search` settings.
+   */
+  async ensureSearchView(boundariesCol) {
+    const { view, ngramAnalyzer, normAnalyzer, locale, minGram, maxGram } =
+      Config.search;
+    const features = ['frequency', 'norm', 'position'];
+    const analyzers = {
+      // Word prefixes, for autocomplete
+      [ngramAnalyzer]: {
+        type: 'text',
+        properties: {
+          locale,
+          case: 'lower',
+          accent: false,
+          stemming: false,
+          edgeNgram: { min: minGram, max: maxGram, preserveOriginal: true },
+        },
+        features,
+      },
+      // The whole name, lower-cased and without accents
+      [normAnalyzer]: {
+        type: 'norm',
+        properties: { locale, case: 'lower', accent: false },
+        features,
+      },
+    };
+
+    try {
+      try {
+        await boundariesCol.dropIndex('idx_name_fulltext');
+        console.log('🧹 Dropped legacy fulltext index idx_name_fulltext');
+      } catch (err) {
+        if (!/not found/i.test(err.message)) throw err;
+      }
+
+      for (const [name, options] of Object.entries(analyzers)) {
+        const analyzer = this.db.analyzer(name);
+        if (!(await analyzer.exists())) {
+          await analyzer.create(options);
+          console.log(`✅ Created analyzer: ${name}`);
+        }
+      }
+
+      const searchView = this.db.view(view);
+      if (!(await searchView.exists())) {
+        const nameField = { analyzers: [ngramAnalyzer, normAnalyzer] };
+        await searchView.create({
+          type: 'arangosearch',
+          links: {
+            [Config.collections.ADMIN_BOUNDARIES]: {
+              fields: {
+                name: nameField,
+                official_name: nameField,
+                names: { ...nameField, includeAllFields: true },
+                countryId: {},
+                admin_level: {},
+              },
+            },
+          },
+        });
+        console.log(`✅ Created search view: ${view}`);
+      }
+    } catch (err) {
+      console.warn(`⚠️  Search view setup warning: ${err.message}`);
+    }
+  }
+
   async ensureCollection(name, options = {}) {
     const collection = this.db.collection(name);
     if (!(await collection.exists())) {
@@ -169,10 +722,15 @@ class DatabaseService {
   }
 
   /**
-   * Check if a country has already been processed
+   * Check if a country has already been processed. The import job is
+   * authoritative; boundary counts are only used for data imported
+   * before job tracking existed.
    */
   async isCountryProcessed(countryId) {
     try {
+      const job = await this.getImportJob(countryId);
+      if (job) return job.status === 'complete';
+
       const boundariesCol =
         this.collections[Config.collections.ADMIN_BOUNDARIES];
       const cursor = await this.db.query(aql`
@@ -190,6 +748,103 @@ class DatabaseService {
     }
   }
 
+  /**
+   * Import job state for a country (null if never started)
+   */
+  async getImportJob(countryId) {
+    const jobsCol = this.collections[Config.collections.IMPORT_JOBS];
+    const key = countryId.split('/').pop();
+    if (!(await jobsCol.documentExists(key))) return null;
+    return jobsCol.document(key);
+  }
+
+  /**
+   * Create or merge-update a country's import job
+   * (status: pending | in_progress | complete | failed)
+   */
+  async saveImportJob(countryId, fields) {
+    const jobsCol = this.collections[Config.collections.IMPORT_JOBS];
+    await jobsCol.save(
+      {
+        _key: countryId.split('/').pop(),
+        ...fields,
+        updated_at: new Date(),
+      },
+      { overwriteMode: 'update' },
+    );
+  }
+
+  /**
+   * Record the start of an import run; returns its key
+   */
+  async startImportRun(fields) {
+    const runsCol = this.collections[Config.collections.IMPORT_RUNS];
+    const { _key } = await runsCol.save({
+      ...fields,
+      status: 'running',
+      started_at: new Date(),
+      finished_at: null,
+    });
+    return _key;
+  }
+
+  /**
+   * Store a country's outcome in a run as its own document, so an
+   * interrupted or long-running (daemon) run keeps the countries it
+   * finished without rewriting the run document
+   */
+  async recordImportRunCountry(runKey, outcome) {
+    const runCountriesCol =
+      this.collections[Config.collections.IMPORT_RUN_COUNTRIES];
+    await runCountriesCol.save({ ...outcome, run: runKey });
+  }
+
+  async finishImportRun(runKey, fields) {
+    const runsCol = this.collections[Config.collections.IMPORT_RUNS];
+    await runsCol.update(runKey, { ...fields, finished_at: new Date() });
+  }
+
+  /**
+   * The latest import run (without its config snapshot) with the latest
+   * outcome of each country it touched as `countries`. Each is paired with
+   * that country's processed or partial outcome before it (`previous`, null
+   * if there is none) - an earlier import in the same daemon run included.
+   */
+  async getLatestRunComparison() {
+    const runsCol = this.collections[Config.collections.IMPORT_RUNS];
+    const runCountriesCol =
+      this.collections[Config.collections.IMPORT_RUN_COUNTRIES];
+    const cursor = await this.db.query(aql`
+      FOR run IN ${runsCol}
+      SORT run.started_at DESC
+      LIMIT 1
+      RETURN MERGE(UNSET(run, 'config'), {
+        countries: (
+          FOR c IN ${runCountriesCol}
+          FILTER c.run == run._key
+          COLLECT countryId = c.countryId INTO outcomes = c
+          LET latest = FIRST(
+            FOR o IN outcomes
+            SORT o.finished_at DESC
+            LIMIT 1
+            RETURN o
+          )
+          LET previous = latest.outcome NOT IN ${COMPLETE_OUTCOMES} ? null : FIRST(
+            FOR p IN ${runCountriesCol}
+            FILTER p.countryId == countryId AND p.finished_at < latest.finished_at
+            FILTER p.outcome IN ${COMPLETE_OUTCOMES}
+            SORT p.finished_at DESC
+            LIMIT 1
+            RETURN p
+          )
+          SORT latest.finished_at
+          RETURN MERGE(latest, { previous })
+        )
+      })
+    `);
+    return cursor.next();
+  }
+
   /**
    * Get statistics for a processed country
    */
@@ -199,7 +854,7 @@ class DatabaseService {
         this.collections[Config.collections.ADMIN_BOUNDARIES];
       const cursor = await this.db.query(aql`
         FOR doc IN ${boundariesCol}
-        FILTER doc.countryId == ${countryId}
+        FILTER doc.countryId == ${countryId} AND doc.deleted != true
         COLLECT admin_level = doc.admin_level WITH COUNT INTO count
         RETURN { admin_level, count }
       `);
@@ -220,545 +875,4838 @@ class DatabaseService {
     }
   }
 
-  async disconnect() {
-    if (this.db) {
-      await this.db.close();
-    }
-  }
-}
-
-// ============================================================================
-// OSM SERVICE - Iterative Fetching
-// ============================================================================
-
-class OSMService {
-  constructor(config) {
-    this.config = config;
-    this.fetch = null;
-  }
+  /**
+   * Bulk upsert boundaries keyed on osm_id, in chunks of batchSize. With a
+   * run id the docs go to the staging collection instead (keyed on
+   * run_id + osm_id) until swapStagedCountry publishes them.
+   * Returns the stored docs (without geometry) in input order. A failed
+   * chunk throws, so the import fails and resumes from its last checkpoint
+   * instead of completing with boundaries missing.
+   */
+  async upsertBoundaries(docs, runId = null) {
+    const boundariesCol = this.collections[Config.collections.ADMIN_BOUNDARIES];
+    const stagingCol =
+      this.collections[Config.collections.ADMIN_BOUNDARIES_STAGING];
+    const saved = [];
 
-  async initialize() {
-    if (typeof globalThis.fetch !== 'undefined') {
-      this.fetch = globalThis.fetch;
-    } else {
+    for (let i = 0; i < docs.length; i += Config.processing.batchSize) {
+      const chunk = docs.slice(i, i + Config.processing.batchSize);
       try {
-        this.fetch = require('node-fetch');
-      } catch {
-        const module = await import('node-fetch');
-        this.fetch = module.default;
+        const cursor = await this.db.query(
+          runId
+            ? aql`
+          FOR doc IN ${chunk}
+          UPSERT { run_id: ${runId}, osm_id: doc.osm_id }
+          INSERT MERGE(doc, { run_id: ${runId} })
+          UPDATE UNSET(doc, 'created_at')
+          IN ${stagingCol}
+          RETURN UNSET(NEW, 'geometry')
+        `
+            : aql`
+          FOR doc IN ${chunk}
+          UPSERT { osm_id: doc.osm_id }
+          INSERT doc
+          UPDATE UNSET(doc, 'created_at')
+          IN ${boundariesCol}
+          RETURN UNSET(NEW, 'geometry')
+        `,
+        );
+        saved.push(...(await cursor.all()));
+      } catch (err) {
+        console.error(
+          `❌ Failed to store ${chunk.length} boundaries: ${err.message}`,
+        );
+        throw err;
       }
     }
-    return this;
+    return saved;
   }
 
-  sleep(ms) {
-    return new Promise((res) => setTimeout(res, ms));
-  }
+  /**
+   * Bulk upsert parent -> child edges keyed on _from/_to (staged under a run
+   * id like upsertBoundaries). `method` records how the link was derived
+   * ('spatial', 'subarea' or 'repair'); `deleted: false` restores an edge
+   * flagged by an earlier update. Throws like upsertBoundaries when a chunk
+   * fails.
+   */
+  async upsertEdges(edges, runId = null) {
+    const edgesCol = this.collections[Config.collections.ADMIN_BOUNDARY_EDGES];
+    const stagingCol =
+      this.collections[Config.collections.ADMIN_BOUNDARY_EDGES_STAGING];
 
-  async fetchWithRetry(url, options, retries = this.config.osm.maxRetries) {
-    for (let i = 0; i < retries; i++) {
+    for (let i = 0; i < edges.length; i += Config.processing.batchSize) {
+      const chunk = edges.slice(i, i + Config.processing.batchSize);
       try {
-        const response = await this.fetch(url, {
-          ...options,
-          timeout: this.config.osm.timeout,
-        });
-        if (response.ok) return response;
-        if (response.status === 429 || response.status >= 500) {
-          const delay = this.config.osm.retryDelay * Math.pow(2, i);
-          console.log(
-            `⏳ Overpass retry in ${delay / 1000}s (attempt ${
-              i + 1
-            }/${retries})`,
-          );
-          await this.sleep(delay);
-          continue;
-        }
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        await this.db.query(
+          runId
+            ? aql`
+          FOR edge IN ${chunk}
+          UPSERT { run_id: ${runId}, _from: edge._from, _to: edge._to }
+          INSERT MERGE(edge, { run_id: ${runId} })
+          UPDATE KEEP(edge, 'method', 'deleted')
+          IN ${stagingCol}
+        `
+            : aql`
+          FOR edge IN ${chunk}
+          UPSERT { _from: edge._from, _to: edge._to }
+          INSERT MERGE(edge, {
+            relationship: 'contains',
+            created_at: DATE_ISO8601(DATE_NOW())
+          })
+          UPDATE KEEP(edge, 'method', 'deleted')
+          IN ${edgesCol}
+        `,
+        );
       } catch (err) {
-        if (i === retries - 1) throw err;
-        const delay = this.config.osm.retryDelay * Math.pow(2, i);
-        console.log(
-          `⏳ Fetch error, retrying in ${delay / 1000}s: ${err.message}`,
+        console.error(
+          `❌ Failed to create ${chunk.length} edges: ${err.message}`,
         );
-        await this.sleep(delay);
+        throw err;
       }
     }
   }
 
   /**
-   * Fetch the country boundary (level 2)
+   * Stored boundaries (without geometry) by osm_id, with the osm_id of
+   * their parent as `parent_osm_id`. With a run id, docs staged by that run
+   * take precedence over the live ones.
    */
-  async fetchCountryBoundary(country) {
-    console.log(
+  async getBoundariesByOsmId(osmIds, runId = null) {
+    const boundariesCol = this.collections[Config.collections.ADMIN_BOUNDARIES];
+    const stagingCol =
+      this.collections[Config.collections.ADMIN_BOUNDARIES_STAGING];
+    const cursor = await this.db.query(aql`
+      FOR b IN ${boundariesCol}
+      FILTER b.osm_id IN ${osmIds}
+      RETURN MERGE(UNSET(b, 'geometry'), {
+        parent_osm_id: b.parent_id ? DOCUMENT(b.parent_id).osm_id : null
+      })
+    `);
+    const docs = new Map((await cursor.all()).map((doc) => [doc.osm_id, doc]));
+
+    if (runId) {
+      const staged = await this.db.query(aql`
+        FOR s IN ${stagingCol}
+        FILTER s.run_id == ${runId} AND s.osm_id IN ${osmIds}
+        RETURN MERGE(UNSET(s, 'geometry'), {
+          parent_osm_id: s.parent_id ? DOCUMENT(s.parent_id).osm_id : null
+        })
+      `);
+      for (const doc of await staged.all()) docs.set(doc.osm_id, doc);
+    }
+    return docs;
+  }
+
+  /**
+   * Drop the edges linking re-parented children to their former parents
+   * (links: [{ child, parent }] of document ids). With a run id, only the
+   * edges staged by that run are touched.
+   */
+  async removeStaleParentEdges(links, runId = null) {
+    if (links.length === 0) return;
+    const edgesCol =
+      this.collections[
+        runId
+          ? Config.collections.ADMIN_BOUNDARY_EDGES_STAGING
+          : Config.collections.ADMIN_BOUNDARY_EDGES
+      ];
+    await this.db.query(aql`
+      FOR link IN ${links}
+      FOR e IN ${edgesCol}
+      FILTER e._to == link.child AND e._from != link.parent
+      ${runId ? aql`FILTER e.run_id == ${runId}` : aql``}
+      REMOVE e IN ${edgesCol}
+    `);
+  }
+
+  /**
+   * Rewrite ancestor_ids, depth and path of everything below the given
+   * boundaries (an array of ids or an AQL subquery returning them), e.g.
+   * after they moved to another parent
+   */
+  async refreshDescendantPaths(
+    rootIds,
+    { step = (request) => request() } = {},
+  ) {
+    if (Array.isArray(rootIds) && rootIds.length === 0) return;
+    const boundariesCol = this.collections[Config.collections.ADMIN_BOUNDARIES];
+    const edgesCol = this.collections[Config.collections.ADMIN_BOUNDARY_EDGES];
+
+    await step(() =>
+      this.db.query(aql`
+        FOR root IN ${boundariesCol}
+        FILTER root._id IN ${rootIds}
+        FOR v, e, p IN 1..64 OUTBOUND root ${edgesCol}
+        OPTIONS { order: 'bfs', uniqueVertices: 'global' }
+        LET above = SLICE(p.vertices, 0, -1)
+        LET segments = (
+          FOR x IN SLICE(p.vertices, 1)
+          RETURN x.path != null ? LAST(SPLIT(x.path, '/')) : x.name
+        )
+        UPDATE v WITH {
+          ancestor_ids: APPEND(root.ancestor_ids || [], above[*]._id),
+          depth: LENGTH(root.ancestor_ids) + LENGTH(above),
+          path: CONCAT_SEPARATOR('/', root.path, segments)
+        } IN ${boundariesCol}
+      `),
+    );
+  }
+
+  /**
+   * Flag (mode 'mark') or remove (mode 'remove') a country's boundaries that
+   * are not in `seenOsmIds` (nor staged by `runId`), together with their
+   * edges. Only boundaries at one of `levels` (the admin levels the run
+   * walked) are considered. `step` runs each query inside a transaction.
+   * Returns the number of affected boundaries.
+   */
+  async sweepDeletedBoundaries(
+    countryId,
+    seenOsmIds,
+    mode,
+    { levels = null, runId = null, step = (request) => request() } = {},
+  ) {
+    const boundariesCol = this.collections[Config.collections.ADMIN_BOUNDARIES];
+    const edgesCol = this.collections[Config.collections.ADMIN_BOUNDARY_EDGES];
+    const stagingCol =
+      this.collections[Config.collections.ADMIN_BOUNDARIES_STAGING];
+    const deletedAt = new Date();
+
+    // Evaluated by both queries - the edges go first while the set is intact
+    const gone = aql`
+      LET keep = ${
+        runId
+          ? aql`APPEND(${seenOsmIds}, (
+              FOR s IN ${stagingCol}
+              FILTER s.run_id == ${runId}
+              RETURN s.osm_id
+            ))`
+          : aql`${seenOsmIds}`
+      }
+      LET gone = (
+        FOR b IN ${boundariesCol}
+        FILTER b.countryId == ${countryId} AND b.deleted != true
+        FILTER ${levels} == null OR b.admin_level IN ${levels}
+        FILTER b.osm_id NOT IN keep
+        RETURN b._id
+      )
+    `;
+
+    await step(() =>
+      this.db.query(aql`
+        ${gone}
+        FOR e IN ${edgesCol}
+        FILTER e._from IN gone OR e._to IN gone
+        ${
+          mode === 'remove'
+            ? aql`REMOVE e IN ${edgesCol}`
+            : aql`UPDATE e WITH { deleted: true, deleted_at: ${deletedAt} } IN ${edgesCol}`
+        }
+      `),
+    );
+
+    const cursor = await step(() =>
+      this.db.query(aql`
+        ${gone}
+        LET swept = (
+          FOR id IN gone
+          ${
+            mode === 'remove'
+              ? aql`REMOVE PARSE_IDENTIFIER(id).key IN ${boundariesCol}`
+              : aql`UPDATE PARSE_IDENTIFIER(id).key
+                WITH { deleted: true, deleted_at: ${deletedAt} } IN ${boundariesCol}`
+          }
+          RETURN 1
+        )
+        RETURN LENGTH(swept)
+      `),
+    );
+    return cursor.next();
+  }
+
+  /**
+   * Publish a completed staged run in one transaction: staged boundaries,
+   * geometry included, are upserted into the live collection by osm_id
+   * (keeping existing _ids) in batches of batchSize, references to staging
+   * ids are rewritten, each staged child's edge replaces any edge from a
+   * former parent, boundaries missing from the run are swept, and the run's
+   * staging data is dropped. Returns the number of
+   * swept boundaries (null when the sweep was skipped).
+   */
+  async swapStagedCountry(
+    countryId,
+    runId,
+    { seenOsmIds = null, mode, levels = null } = {},
+  ) {
+    const boundariesCol = this.collections[Config.collections.ADMIN_BOUNDARIES];
+    const edgesCol = this.collections[Config.collections.ADMIN_BOUNDARY_EDGES];
+    const stagingCol =
+      this.collections[Config.collections.ADMIN_BOUNDARIES_STAGING];
+    const stagingEdgesCol =
+      this.collections[Config.collections.ADMIN_BOUNDARY_EDGES_STAGING];
+    const stagedPrefix = `${stagingCol.name}/`;
+
+    return this.db.withTransaction(
+      { write: [boundariesCol, edgesCol, stagingCol, stagingEdgesCol] },
+      async (step) => {
+        // Shapes travel with their boundaries, so readers never see a
+        // published boundary without its new geometry. Batches keep each
+        // query of the transaction short.
+        let published;
+        do {
+          const cursor = await step(() =>
+            this.db.query(aql`
+              FOR s IN ${stagingCol}
+              FILTER s.run_id == ${runId} AND s.live_id == null
+              LIMIT ${Config.processing.batchSize}
+              LET doc = UNSET(s, '_id', '_key', '_rev', 'run_id', 'live_id')
+              UPSERT { osm_id: s.osm_id }
+              INSERT doc
+              UPDATE UNSET(doc, 'created_at')
+              IN ${boundariesCol} OPTIONS { mergeObjects: false }
+              LET liveId = NEW._id
+              LET moved = OLD.path != null AND OLD.path != NEW.path
+              UPDATE s WITH { live_id: liveId, moved } IN ${stagingCol}
+              RETURN 1
+            `),
+          );
+          published = (await cursor.all()).length;
+        } while (published === Config.processing.batchSize);
+
+        // Parent and ancestor ids of staged docs still point at staging
+        await step(() =>
+          this.db.query(aql`
+            FOR s IN ${stagingCol}
+            FILTER s.run_id == ${runId}
+            LET liveIds = (
+              FOR id IN APPEND([s.parent_id], s.ancestor_ids || [])
+              RETURN id != null AND STARTS_WITH(id, ${stagedPrefix})
+                ? DOCUMENT(${stagingCol}, PARSE_IDENTIFIER(id).key).live_id
+                : id
+            )
+            FILTER liveIds != APPEND([s.parent_id], s.ancestor_ids || [])
+            UPDATE PARSE_IDENTIFIER(s.live_id).key WITH {
+              parent_id: FIRST(liveIds),
+              ancestor_ids: SLICE(liveIds, 1)
+            } IN ${boundariesCol}
+          `),
+        );
+
+        await step(() =>
+          this.db.query(aql`
+            FOR e IN ${stagingEdgesCol}
+            FILTER e.run_id == ${runId}
+            LET liveFrom = STARTS_WITH(e._from, ${stagedPrefix})
+              ? DOCUMENT(${stagingCol}, PARSE_IDENTIFIER(e._from).key).live_id
+              : e._from
+            LET liveTo = STARTS_WITH(e._to, ${stagedPrefix})
+              ? DOCUMENT(${stagingCol}, PARSE_IDENTIFIER(e._to).key).live_id
+              : e._to
+            UPDATE e WITH { live_from: liveFrom, live_to: liveTo } IN ${stagingEdgesCol}
+          `),
+        );
+
+        await step(() =>
+          this.db.query(aql`
+            FOR e IN ${stagingEdgesCol}
+            FILTER e.run_id == ${runId}
+            FOR old IN ${edgesCol}
+            FILTER old._to == e.live_to AND old._from != e.live_from
+            REMOVE old IN ${edgesCol} OPTIONS { ignoreErrors: true }
+          `),
+        );
+
+        await step(() =>
+          this.db.query(aql`
+            FOR e IN ${stagingEdgesCol}
+            FILTER e.run_id == ${runId}
+            LET edge = MERGE(KEEP(e, 'method', 'deleted'), {
+              _from: e.live_from,
+              _to: e.live_to
+            })
+            UPSERT { _from: e.live_from, _to: e.live_to }
+            INSERT MERGE(edge, {
+              relationship: 'contains',
+              created_at: DATE_ISO8601(DATE_NOW())
+            })
+            UPDATE KEEP(edge, 'method', 'deleted')
+            IN ${edgesCol}
+          `),
+        );
+
+        await this.refreshDescendantPaths(
+          aql`(
+            FOR s IN ${stagingCol}
+            FILTER s.run_id == ${runId} AND s.moved
+            RETURN s.live_id
+          )`,
+          { step },
+        );
+
+        const swept = seenOsmIds
+          ? await this.sweepDeletedBoundaries(countryId, seenOsmIds, mode, {
+              levels,
+              runId,
+              step,
+            })
+          : null;
+
+        await step(() =>
+          this.db.query(aql`
+            FOR e IN ${stagingEdgesCol}
+            FILTER e.run_id == ${runId}
+            REMOVE e IN ${stagingEdgesCol}
+          `),
+        );
+        await step(() =>
+          this.db.query(aql`
+            FOR s IN ${stagingCol}
+            FILTER s.run_id == ${runId}
+            REMOVE s IN ${stagingCol}
+          `),
+        );
+        return swept;
+      },
+    );
+  }
+
+  /**
+   * Drop staged data that no import job refers to any more (runs that were
+   * superseded, or whose job is gone). Pass a countryId to restrict this to
+   * one country. Returns the number of staged boundaries removed.
+   */
+  async cleanupStaging(countryId = null) {
+    const jobsCol = this.collections[Config.collections.IMPORT_JOBS];
+    const stagingCol =
+      this.collections[Config.collections.ADMIN_BOUNDARIES_STAGING];
+    const stagingEdgesCol =
+      this.collections[Config.collections.ADMIN_BOUNDARY_EDGES_STAGING];
+
+    const cursor = await this.db.query(aql`
+      LET abandoned = (
+        FOR s IN ${stagingCol}
+        FILTER ${countryId} == null OR s.countryId == ${countryId}
+        LET job = DOCUMENT(${jobsCol}, PARSE_IDENTIFIER(s.countryId).key)
+        FILTER job == null OR job.staging_run != s.run_id
+        REMOVE s IN ${stagingCol}
+        RETURN 1
+      )
+      RETURN LENGTH(abandoned)
+    `);
+    const removed = await cursor.next();
+
+    // Staged edges carry no country; they go with their run's boundaries
+    await this.db.query(aql`
+      LET runs = (FOR s IN ${stagingCol} COLLECT run = s.run_id RETURN run)
+      FOR e IN ${stagingEdgesCol}
+      FILTER e.run_id NOT IN runs
+      REMOVE e IN ${stagingEdgesCol}
+    `);
+    return removed;
+  }
+
+  /**
+   * Point boundaries at new parents (links: [{ _id, parent_id }])
+   */
+  async setParentIds(links) {
+    if (links.length === 0) return;
+    const boundariesCol = this.collections[Config.collections.ADMIN_BOUNDARIES];
+    await this.db.query(aql`
+      FOR link IN ${links}
+      UPDATE PARSE_IDENTIFIER(link._id).key
+      WITH { parent_id: link.parent_id, updated_at: DATE_ISO8601(DATE_NOW()) }
+      IN ${boundariesCol}
+    `);
+  }
+
+  /**
+   * Live, not deleted boundaries of a country (ids only)
+   */
+  async getCountryBoundaryIds(countryId) {
+    const boundariesCol = this.collections[Config.collections.ADMIN_BOUNDARIES];
+    const cursor = await this.db.query(aql`
+      FOR b IN ${boundariesCol}
+      FILTER b.countryId == ${countryId} AND b.deleted != true
+      RETURN { _id: b._id, osm_id: b.osm_id }
+    `);
+    return cursor.all();
+  }
+
+  /**
+   * Store member way ids (links: [{ _id, way_ids }])
+   */
+  async setBorderWays(links) {
+    const boundariesCol = this.collections[Config.collections.ADMIN_BOUNDARIES];
+    for (let i = 0; i < links.length; i += Config.processing.batchSize) {
+      await this.db.query(aql`
+        FOR link IN ${links.slice(i, i + Config.processing.batchSize)}
+        UPDATE PARSE_IDENTIFIER(link._id).key
+        WITH { border_way_ids: link.way_ids } IN ${boundariesCol}
+      `);
+    }
+  }
+
+  /**
+   * Pairs of same-level boundaries sharing member ways, where at least one
+   * belongs to the country. Each pair is listed once, lower `_id` first.
+   */
+  async findSharedBorders(countryId) {
+    const boundariesCol = this.collections[Config.collections.ADMIN_BOUNDARIES];
+    const cursor = await this.db.query(aql`
+      FOR b IN ${boundariesCol}
+      FILTER b.countryId == ${countryId} AND b.deleted != true
+      FOR way IN b.border_way_ids || []
+      FOR other IN ${boundariesCol}
+      FILTER way IN other.border_way_ids[*]
+      FILTER other._id != b._id AND other.deleted != true
+      FILTER other.admin_level == b.admin_level
+      COLLECT
+        from = b._id < other._id ? b._id : other._id,
+        to = b._id < other._id ? other._id : b._id,
+        adminLevel = b.admin_level,
+        international = b.countryId != other.countryId
+        INTO shared = way
+      RETURN {
+        from,
+        to,
+        admin_level: adminLevel,
+        international,
+        way_ids: UNIQUE(shared)
+      }
+    `);
+    return cursor.all();
+  }
+
+  /**
+   * Upsert a country's adjacency edges and drop its edges that were not
+   * found again
+   */
+  async replaceAdjacency(countryId, edges) {
+    const boundariesCol = this.collections[Config.collections.ADMIN_BOUNDARIES];
+    const adjacencyCol =
+      this.collections[Config.collections.ADMIN_BOUNDARY_ADJACENCY];
+    const builtAt = new Date().toISOString();
+
+    for (let i = 0; i < edges.length; i += Config.processing.batchSize) {
+      await this.db.query(aql`
+        FOR edge IN ${edges.slice(i, i + Config.processing.batchSize)}
+        UPSERT { _from: edge._from, _to: edge._to }
+        INSERT MERGE(edge, { updated_at: ${builtAt} })
+        UPDATE MERGE(edge, { updated_at: ${builtAt} })
+        IN ${adjacencyCol}
+      `);
+    }
+
+    await this.db.query(aql`
+      FOR b IN ${boundariesCol}
+      FILTER b.countryId == ${countryId}
+      FOR e IN ${adjacencyCol}
+      FILTER e._from == b._id OR e._to == b._id
+      FILTER e.updated_at != ${builtAt}
+      REMOVE e IN ${adjacencyCol} OPTIONS { ignoreErrors: true }
+    `);
+  }
+
+  async removeEdgesById(ids) {
+    if (ids.length === 0) return;
+    const edgesCol = this.collections[Config.collections.ADMIN_BOUNDARY_EDGES];
+    await this.db.query(aql`
+      FOR id IN ${ids}
+      REMOVE PARSE_IDENTIFIER(id).key IN ${edgesCol} OPTIONS { ignoreErrors: true }
+    `);
+  }
+
+  /**
+   * Streaming cursor over a country's live hierarchy, depth-first from its
+   * level-2 boundary along adminBoundaryEdges. Only the edge matching each
+   * child's parent_id is followed, so every boundary comes once. Rows are
+   * { depth, parent_osm_id, doc }, limited to minLevel..maxLevel (the walk
+   * still passes through the levels left out). Geometry is dropped unless
+   * asked for.
+   */
+  async streamCountryHierarchy(
+    countryId,
+    { minLevel = null, maxLevel = null, geometry = false } = {},
+  ) {
+    const boundariesCol = this.collections[Config.collections.ADMIN_BOUNDARIES];
+    const edgesCol = this.collections[Config.collections.ADMIN_BOUNDARY_EDGES];
+    return this.db.query(
+      aql`
+        LET root = FIRST(
+          FOR b IN ${boundariesCol}
+          FILTER b.countryId == ${countryId} AND b.admin_level == 2
+          FILTER b.deleted != true
+          RETURN b
+        )
+        FOR v, e, p IN 0..10 OUTBOUND root ${edgesCol}
+          PRUNE e != null AND (e.deleted == true OR e._from != v.parent_id)
+          OPTIONS { order: 'dfs' }
+          FILTER e == null OR (e.deleted != true AND e._from == v.parent_id)
+          FILTER v.deleted != true
+          FILTER ${minLevel} == null OR v.admin_level >= ${minLevel}
+          FILTER ${maxLevel} == null OR v.admin_level <= ${maxLevel}
+          RETURN {
+            depth: LENGTH(p.edges),
+            parent_osm_id: p.vertices[-2].osm_id,
+            doc: ${geometry ? aql`v` : aql`UNSET(v, 'geometry')`}
+          }
+      `,
+      { batchSize: Config.processing.batchSize, stream: true },
+    );
+  }
+
+  /**
+   * Remove everything stored for a country: boundaries, their hierarchy and
+   * adjacency edges, staged runs and the import job. With dryRun nothing is
+   * removed. Returns the (would-be) removed counts per collection.
+   */
+  async purgeCountry(countryId, { dryRun = false } = {}) {
+    const boundariesCol = this.collections[Config.collections.ADMIN_BOUNDARIES];
+    const edgesCol = this.collections[Config.collections.ADMIN_BOUNDARY_EDGES];
+    const adjacencyCol =
+      this.collections[Config.collections.ADMIN_BOUNDARY_ADJACENCY];
+    const stagingCol =
+      this.collections[Config.collections.ADMIN_BOUNDARIES_STAGING];
+    const stagingEdgesCol =
+      this.collections[Config.collections.ADMIN_BOUNDARY_EDGES_STAGING];
+    const jobsCol = this.collections[Config.collections.IMPORT_JOBS];
+
+    const ids = aql`
+      LET ids = (
+        FOR b IN ${boundariesCol}
+        FILTER b.countryId == ${countryId}
+        RETURN b._id
+      )
+    `;
+    const runs = aql`
+      LET runs = (
+        FOR s IN ${stagingCol}
+        FILTER s.countryId == ${countryId}
+        COLLECT run = s.run_id
+        RETURN run
+      )
+    `;
+    // Each entry counts (or removes) one collection's share of the country
+    const targets = [
+      [
+        adjacencyCol,
+        aql`${ids} FOR doc IN ${adjacencyCol} FILTER doc._from IN ids OR doc._to IN ids`,
+      ],
+      [
+        edgesCol,
+        aql`${ids} FOR doc IN ${edgesCol} FILTER doc._from IN ids OR doc._to IN ids`,
+      ],
+      [
+        stagingEdgesCol,
+        aql`${runs} FOR doc IN ${stagingEdgesCol} FILTER doc.run_id IN runs`,
+      ],
+      [
+        stagingCol,
+        aql`FOR doc IN ${stagingCol} FILTER doc.countryId == ${countryId}`,
+      ],
+      [
+        boundariesCol,
+        aql`FOR doc IN ${boundariesCol} FILTER doc.countryId == ${countryId}`,
+      ],
+      [
+        jobsCol,
+        aql`FOR doc IN ${jobsCol} FILTER doc._key == ${countryId.split('/').pop()}`,
+      ],
+    ];
+
+    const run = async (step) => {
+      const counts = {};
+      for (const [collection, match] of targets) {
+        const cursor = await step(() =>
+          this.db.query(aql`
+            LET matched = (
+              ${match}
+              ${dryRun ? aql`` : aql`REMOVE doc IN ${collection}`}
+              RETURN 1
+            )
+            RETURN LENGTH(matched)
+          `),
+        );
+        counts[collection.name] = await cursor.next();
+      }
+      return counts;
+    };
+
+    if (dryRun) return run((request) => request());
+    return this.db.withTransaction(
+      { write: targets.map(([collection]) => collection) },
+      run,
+    );
+  }
+
+  async disconnect() {
+    if (this.db) {
+      await this.db.close();
+    }
+  }
+}
+
+// ============================================================================
+// BOUNDARY LOOKUP - Reverse geocoding (point -> admin hierarchy)
+// ============================================================================
+
+class BoundaryLookupService {
+  constructor(config, db, osm = null) {
+    this.config = config;
+    this.db = db;
+    this.osm = osm; // Optional - used to build missing geometry on demand
+    this.geometry = new GeometryBuilder();
+  }
+
+  /**
+   * Resolve the chain of boundaries containing a point, country first.
+   * Descends parent -> child until no deeper boundary contains the point,
+   * so sparse hierarchies simply return a shorter chain.
+   */
+  async lookup(lat, lon) {
+    if (
+      !Number.isFinite(lat) ||
+      !Number.isFinite(lon) ||
+      Math.abs(lat) > 90 ||
+      Math.abs(lon) > 180
+    ) {
+      throw new Error(`Invalid coordinates: ${lat}, ${lon}`);
+    }
+
+    const point = [lon, lat];
+    const chain = [];
+    let parentId = null;
+
+    while (true) {
+      const candidates = await this.fetchCandidates(parentId, point);
+      if (candidates.length === 0) break;
+
+      const match = await this.findContaining(candidates, point);
+      if (!match) break;
+
+      chain.push({
+        _id: match._id,
+        osm_id: match.osm_id,
+        name: match.name,
+        names: match.names || null,
+        admin_level: match.admin_level,
+        custom_level: match.custom_level,
+        level_name: match.level_name,
+        iso_code: match.iso_code || null,
+        countryId: match.countryId,
+      });
+      parentId = match._id;
+    }
+
+    return chain;
+  }
+
+  /**
+   * Children of a parent (or root countries) whose bbox could hold the point
+   */
+  async fetchCandidates(parentId, [lon, lat]) {
+    const boundariesCol =
+      this.db.collections[Config.collections.ADMIN_BOUNDARIES];
+    const cursor = await this.db.db.query(aql`
+      FOR b IN ${boundariesCol}
+      FILTER ${parentId} == null
+        ? (b.parent_id == null AND b.admin_level == 2)
+        : b.parent_id == ${parentId}
+      FILTER b.deleted != true
+      FILTER b.bbox == null OR (
+        b.bbox[0] <= ${lon} AND b.bbox[2] >= ${lon} AND
+        b.bbox[1] <= ${lat} AND b.bbox[3] >= ${lat}
+      )
+      RETURN b
+    `);
+    return cursor.all();
+  }
+
+  /**
+   * Pick the smallest candidate whose polygon contains the point
+   */
+  async findContaining(candidates, point) {
+    try {
+      await this.ensureGeometry(candidates, point);
+    } catch (err) {
+      console.error(`   ✗ Could not build missing geometry: ${err.message}`);
+    }
+
+    const containing = candidates.filter(
+      (doc) => doc.geometry && this.geometry.containsPoint(doc.geometry, point),
+    );
+    if (containing.length === 0) return null;
+
+    containing.sort(
+      (a, b) => (a.area_km2 ?? Infinity) - (b.area_km2 ?? Infinity),
+    );
+    return containing[0];
+  }
+
+  /**
+   * Build and persist geometry for candidates imported without it. Bounds are
+   * fetched first so only boundaries whose bbox holds the point get full shapes.
+   */
+  async ensureGeometry(candidates, [lon, lat]) {
+    if (!this.osm) return;
+
+    const missingBbox = candidates.filter((doc) => !doc.geometry && !doc.bbox);
+    if (missingBbox.length > 0) {
+      const elements = await this.osm.fetchRelationsById(
+        missingBbox.map((doc) => doc.osm_id),
+        'ids bb',
+      );
+      for (const element of elements) {
+        const doc = missingBbox.find((d) => d.osm_id === String(element.id));
+        const bbox = this.geometry.boundsToBbox(element.bounds);
+        if (doc && bbox) {
+          doc.bbox = bbox;
+          await this.saveShape(doc, { bbox });
+        }
+      }
+    }
+
+    const missingGeometry = candidates.filter(
+      (doc) =>
+        !doc.geometry &&
+        doc.bbox &&
+        doc.bbox[0] <= lon &&
+        doc.bbox[2] >= lon &&
+        doc.bbox[1] <= lat &&
+        doc.bbox[3] >= lat,
+    );
+    if (missingGeometry.length === 0) return;
+
+    console.log(
+      `   → Building geometry for ${missingGeometry.length} boundaries...`,
+    );
+    const elements = await this.osm.fetchRelationsById(
+      missingGeometry.map((doc) => doc.osm_id),
+      'geom',
+      10,
+    );
+    for (const element of elements) {
+      const doc = missingGeometry.find((d) => d.osm_id === String(element.id));
+      const shape = this.geometry.fromRelation(element);
+      if (doc && shape) {
+        Object.assign(doc, shape);
+        await this.saveShape(doc, shape);
+      }
+    }
+  }
+
+  async saveShape(doc, shape) {
+    try {
+      const boundariesCol =
+        this.db.collections[Config.collections.ADMIN_BOUNDARIES];
+      await this.db.db.query(aql`
+        UPDATE ${doc._key}
+        WITH ${shape}
+        IN ${boundariesCol}
+      `);
+    } catch (err) {
+      console.error(`Failed to store geometry for ${doc.name}: ${err.message}`);
+    }
+  }
+}
+
+// ============================================================================
+// BOUNDARY SEARCH - Name search and autocomplete (ArangoSearch view)
+// ============================================================================
+
+class BoundarySearchService {
+  constructor(config, db) {
+    this.config = config;
+    this.db = db;
+  }
+
+  /**
+   * Boundaries whose names match `query` as typed so far (word prefixes),
+   * exactly or within `search.fuzzyDistance` typos. Exact matches come
+   * first, then higher levels and larger populations. Each hit carries its
+   * ancestors, nearest first, and a display `label`
+   * ("Springfield, Sangamon County, Illinois, United States").
+   *
+   * `country` is an ISO2 code or countryMetadata id, `levels` a list of
+   * admin_levels and `language` also matches that `names.name` entry.
+   */
+  async search(
+    query,
+    {
+      country = null,
+      levels = null,
+      language = null,
+      limit = this.config.search.limit,
+    } = {},
+  ) {
+    const text = String(query ?? '').trim();
+    if (!text) return [];
+    if (language && !LANGUAGE_PATTERN.test(language)) {
+      throw new Error(`Invalid language: ${language}`);
+    }
+
+    const { view, ngramAnalyzer, normAnalyzer, fuzzyDistance } =
+      this.config.search;
+    const searchView = this.db.db.view(view);
+    const boundariesCol =
+      this.db.collections[Config.collections.ADMIN_BOUNDARIES];
+    const countryId = country ? await this.resolveCountry(country) : null;
+
+    const nameFields = [
+      aql`b.name`,
+      aql`b.official_name`,
+      ...(language ? [aql`b.names.name.${language}`] : []),
+    ];
+    const prefixMatch = nameFields
+      .map((field) => aql`prefixes ALL IN ${field}`)
+      .reduce((a, b) => aql`${a} OR ${b}`);
+    const fuzzyMatch =
+      fuzzyDistance > 0
+        ? aql`OR ANALYZER(LEVENSHTEIN_MATCH(b.name, normalized, ${fuzzyDistance}, false), ${normAnalyzer})`
+        : aql``;
+
+    const cursor = await this.db.db.query(aql`
+      LET prefixes = TOKENS(${text}, ${ngramAnalyzer})
+      LET normalized = FIRST(TOKENS(${text}, ${normAnalyzer}))
+      FOR b IN ${searchView}
+        SEARCH (
+          ANALYZER(${prefixMatch}, ${ngramAnalyzer})
+          OR ANALYZER(b.name == normalized, ${normAnalyzer})
+          ${fuzzyMatch}
+        )
+        ${countryId ? aql`AND b.countryId == ${countryId}` : aql``}
+        ${levels?.length ? aql`AND b.admin_level IN ${levels}` : aql``}
+        FILTER b.deleted != true
+        LET exact = FIRST(TOKENS(b.name, ${normAnalyzer})) == normalized
+        SORT exact DESC, b.admin_level ASC, b.population DESC, BM25(b) DESC
+        LIMIT ${limit}
+        LET ancestors = (
+          FOR id IN REVERSE(b.ancestor_ids || [])
+            LET a = DOCUMENT(${boundariesCol}, id)
+            FILTER a != null AND a.deleted != true
+            RETURN KEEP(a, '_id', 'name', 'admin_level', 'level_name')
+        )
+        RETURN {
+          _id: b._id,
+          osm_id: b.osm_id,
+          name: b.name,
+          names: b.names,
+          admin_level: b.admin_level,
+          custom_level: b.custom_level,
+          level_name: b.level_name,
+          population: b.population,
+          countryId: b.countryId,
+          ancestors: ancestors,
+          label: CONCAT_SEPARATOR(', ', b.name, ancestors[*].name)
+        }
+    `);
+    return cursor.all();
+  }
+
+  async resolveCountry(country) {
+    if (country.includes('/')) return country;
+    const cursor = await this.db.db.query(aql`
+      FOR c IN ${this.db.db.collection(Config.collections.COUNTRY_METADATA)}
+        FILTER c.iso2 == ${country.toUpperCase()}
+        LIMIT 1
+        RETURN c._id
+    `);
+    const [countryId] = await cursor.all();
+    if (!countryId) throw new Error(`Unknown country: ${country}`);
+    return countryId;
+  }
+}
+
+// ============================================================================
+// OVERPASS RESPONSE CACHE - Content-addressed, with record/replay modes
+// ============================================================================
+
+class ResponseCache {
+  constructor(config) {
+    const modes = ['off', 'read-write', 'record', 'replay'];
+    if (!modes.includes(config.cache.mode)) {
+      throw new Error(
+        `Invalid cache mode "${config.cache.mode}" (expected ${modes.join(', ')})`,
+      );
+    }
+    this.config = config;
+    this.fs = require('fs');
+    this.path = require('path');
+    this.zlib = require('zlib');
+    this.hits = 0;
+    this.misses = 0;
+  }
+
+  get mode() {
+    return this.config.cache.mode;
+  }
+
+  get enabled() {
+    return this.mode !== 'off';
+  }
+
+  /**
+   * Whitespace and the [timeout:N] setting don't change the result
+   */
+  normalize(query) {
+    return query
+      .replace(/\[timeout:\d+\]/, '')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  keyFor(query) {
+    return require('crypto')
+      .createHash('sha256')
+      .update(this.normalize(query))
+      .digest('hex');
+  }
+
+  fileFor(key) {
+    return this.path.join(
+      this.config.cache.dir,
+      key.slice(0, 2),
+      `${key}.json.gz`,
+    );
+  }
+
+  /**
+   * Cached response for a query, or null. Replay mode ignores the TTL and
+   * throws on a miss; record mode always misses so responses are refreshed.
+   */
+  async get(query) {
+    if (!this.enabled || this.mode === 'record') return null;
+
+    const key = this.keyFor(query);
+    let entry = null;
+    try {
+      const raw = await this.fs.promises.readFile(this.fileFor(key));
+      entry = JSON.parse(this.zlib.gunzipSync(raw).toString('utf8'));
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        console.warn(`⚠️  Unreadable cache entry ${key}: ${err.message}`);
+      }
+    }
+
+    const fresh =
+      entry &&
+      (this.mode === 'replay' ||
+        Date.now() - Date.parse(entry.fetched_at) <= this.config.cache.ttlMs);
+
+    if (fresh) {
+      this.hits++;
+      return entry.response;
+    }
+
+    this.misses++;
+    if (this.mode === 'replay') {
+      throw Object.assign(
+        new Error(
+          `Cache miss in replay mode for query ${key.slice(0, 12)}: ${this.normalize(
+            query,
+          ).slice(0, 120)}`,
+        ),
+        { fatal: true },
+      );
+    }
+    return null;
+  }
+
+  async set(query, response) {
+    if (!this.enabled || this.mode === 'replay') return;
+
+    const key = this.keyFor(query);
+    const file = this.fileFor(key);
+    const entry = {
+      key,
+      query: this.normalize(query),
+      fetched_at: new Date().toISOString(),
+      response,
+    };
+
+    try {
+      await this.fs.promises.mkdir(this.path.dirname(file), {
+        recursive: true,
+      });
+      // Write then rename so an interrupted run never leaves a torn entry
+      const tmp = `${file}.${process.pid}.tmp`;
+      await this.fs.promises.writeFile(
+        tmp,
+        this.zlib.gzipSync(JSON.stringify(entry)),
+      );
+      await this.fs.promises.rename(tmp, file);
+    } catch (err) {
+      console.warn(`⚠️  Failed to write cache entry ${key}: ${err.message}`);
+    }
+  }
+}
+
+// ============================================================================
+// OVERPASS ENDPOINT POOL - Failover, circuit breaking and slot-aware pacing
+// ============================================================================
+
+class OverpassEndpointPool {
+  constructor(config, fetchFn) {
+    this.config = config;
+    this.fetch = fetchFn;
+    this.endpoints = config.osm.endpoints.map((endpoint) => ({
+      name: endpoint.name || endpoint.url,
+      url: endpoint.url,
+      statusUrl:
+        endpoint.statusUrl ||
+        endpoint.url.replace(/\/interpreter\/?$/, '/status'),
+      failures: 0, // Consecutive failures
+      openUntil: 0, // Circuit open (endpoint skipped) until this time
+      notBefore: 0, // Retry-After / no free slot until this time
+      rateLimit: null, // Slots per client from /api/status, 0 = unlimited
+      statusSupported: true,
+    }));
+  }
+
+  get size() {
+    return this.endpoints.length;
+  }
+
+  sleep(ms) {
+    return new Promise((res) => setTimeout(res, ms));
+  }
+
+  /**
+   * Wait for an endpoint that is healthy and has a free query slot.
+   * Endpoints are preferred in configured order.
+   */
+  async acquire() {
+    while (true) {
+      for (const endpoint of this.endpoints) {
+        const now = Date.now();
+        if (endpoint.openUntil > now || endpoint.notBefore > now) continue;
+        if (await this.hasFreeSlot(endpoint)) return endpoint;
+      }
+
+      const nextAvailable = Math.min(
+        ...this.endpoints.map((e) => Math.max(e.openUntil, e.notBefore)),
+      );
+      const delay = Math.max(nextAvailable - Date.now(), 1000);
+      console.log(
+        `⏳ No Overpass slot available, waiting ${Math.ceil(delay / 1000)}s...`,
+      );
+      await this.sleep(delay);
+    }
+  }
+
+  /**
+   * Check /api/status; sets notBefore when all slots are taken. Endpoints
+   * without a status page (or with no rate limit) are always free.
+   */
+  async hasFreeSlot(endpoint) {
+    if (endpoint.rateLimit === 0 || !endpoint.statusSupported) return true;
+
+    let text;
+    try {
+      const response = await this.fetch(endpoint.statusUrl, {
+        signal: AbortSignal.timeout(10000),
+      });
+      if (!response.ok) {
+        endpoint.statusSupported = false;
+        return true;
+      }
+      text = await response.text();
+    } catch (err) {
+      // Status page unreachable - the server is most likely down
+      this.reportFailure(endpoint, { reason: err.message });
+      return false;
+    }
+
+    const status = this.parseStatus(text);
+    endpoint.rateLimit = status.rateLimit;
+    if (status.rateLimit === 0 || status.slotsAvailable > 0) return true;
+
+    endpoint.notBefore = Date.now() + (status.nextSlotIn ?? 5) * 1000;
+    return false;
+  }
+
+  parseStatus(text) {
+    const rateLimit = text.match(/Rate limit:\s*(\d+)/i);
+    const available = text.match(/(\d+)\s+slots? available now/i);
+    const waits = [...text.matchAll(/in\s+(-?\d+)\s+seconds/gi)].map((m) =>
+      Math.max(parseInt(m[1], 10), 0),
+    );
+    return {
+      rateLimit: rateLimit ? parseInt(rateLimit[1], 10) : null,
+      slotsAvailable: available ? parseInt(available[1], 10) : 0,
+      nextSlotIn: waits.length > 0 ? Math.min(...waits) : null,
+    };
+  }
+
+  reportSuccess(endpoint) {
+    endpoint.failures = 0;
+    endpoint.openUntil = 0;
+  }
+
+  /**
+   * Back off an endpoint. Rate limiting (429) only delays it; errors count
+   * towards opening its circuit.
+   */
+  reportFailure(endpoint, { status = null, retryAfter = null, reason = '' }) {
+    const rateLimited = status === 429;
+    if (!rateLimited) endpoint.failures++;
+
+    const backoff =
+      retryAfter ??
+      this.config.osm.retryDelay *
+        Math.pow(2, Math.max(endpoint.failures - 1, 0));
+    endpoint.notBefore = Date.now() + backoff;
+
+    if (endpoint.failures >= this.config.osm.circuitBreakerThreshold) {
+      endpoint.openUntil = Date.now() + this.config.osm.circuitBreakerResetMs;
+      console.warn(
+        `🔌 ${endpoint.name} failed ${endpoint.failures} times, skipping it for ${
+          this.config.osm.circuitBreakerResetMs / 1000
+        }s`,
+      );
+    }
+    console.log(
+      `⏳ ${endpoint.name} ${reason || `HTTP ${status}`}, backing off ${Math.ceil(
+        backoff / 1000,
+      )}s`,
+    );
+  }
+
+  /**
+   * Retry-After is either delta-seconds or an HTTP date
+   */
+  parseRetryAfter(value) {
+    if (!value) return null;
+    const seconds = Number(value);
+    if (!isNaN(seconds)) return seconds * 1000;
+    const date = Date.parse(value);
+    return isNaN(date) ? null : Math.max(date - Date.now(), 0);
+  }
+}
+
+// ============================================================================
+// OSM SERVICE - Iterative Fetching
+// ============================================================================
+
+const AREA_ID_OFFSET = 3600000000; // Overpass area id = relation id + offset
+
+// Overpass requests made for the country being imported in the current
+// async context, so countries imported concurrently are counted apart
+const requestTally = new AsyncLocalStorage();
+
+class OverpassQueryError extends Error {
+  constructor(remark) {
+    super(`Overpass ${remark}`);
+    this.name = 'OverpassQueryError';
+    this.remark = remark;
+    // Timeouts and memory exhaustion mean the query itself is too big
+    this.oversized = /timed out|out of memory/i.test(remark);
+  }
+}
+
+class OSMService {
+  constructor(config) {
+    this.config = config;
+    this.fetch = null;
+    this.endpoints = null;
+    this.cache = new ResponseCache(config);
+    this.requestCount = 0; // Overpass HTTP requests made (cache hits excluded)
+    this.dataTimestamp = null; // Newest `timestamp_osm_base` seen
+  }
+
+  /**
+   * Remember the newest OSM data timestamp an Overpass response was built from
+   */
+  trackDataTimestamp(data) {
+    const timestamp = data?.osm3s?.timestamp_osm_base;
+    if (timestamp && (!this.dataTimestamp || timestamp > this.dataTimestamp)) {
+      this.dataTimestamp = timestamp;
+    }
+  }
+
+  async initialize() {
+    if (typeof globalThis.fetch !== 'undefined') {
+      this.fetch = globalThis.fetch;
+    } else {
+      try {
+        this.fetch = require('node-fetch');
+      } catch {
+        const module = await import('node-fetch');
+        this.fetch = module.default;
+      }
+    }
+    this.endpoints = new OverpassEndpointPool(this.config, this.fetch);
+    return this;
+  }
+
+  sleep(ms) {
+    return new Promise((res) => setTimeout(res, ms));
+  }
+
+  /**
+   * POST an Overpass QL query and return the parsed JSON response
+   */
+  async runQuery(query) {
+    const cached = await this.cache.get(query);
+    if (cached) {
+      this.trackDataTimestamp(cached);
+      return cached;
+    }
+
+    for (let attempt = 1; ; attempt++) {
+      const response = await this.fetchWithRetry({
+        method: 'POST',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        body: `data=${encodeURIComponent(query)}`,
+      });
+      const data = await response.json();
+
+      // Overpass reports runtime errors as HTTP 200 with a `remark`
+      // and a partial (or empty) `elements` array
+      if (!data || !/runtime error/i.test(data.remark || '')) {
+        this.trackDataTimestamp(data);
+        await this.cache.set(query, data);
+        return data;
+      }
+
+      const error = new OverpassQueryError(data.remark);
+      if (error.oversized || attempt >= this.config.osm.maxRetries) {
+        throw error;
+      }
+      const delay = this.config.osm.retryDelay * Math.pow(2, attempt - 1);
+      console.log(
+        `⏳ Overpass busy, retrying in ${delay / 1000}s (attempt ${attempt}/${this.config.osm.maxRetries})`,
+      );
+      await this.sleep(delay);
+    }
+  }
+
+  /**
+   * Overpass output statement - `out geom` inlines member way coordinates,
+   * `meta` adds the version and timestamp used by incremental updates
+   */
+  outputStatement() {
+    return needsMemberGeometry(this.config) ? 'out meta geom;' : 'out meta;';
+  }
+
+  async fetchWithRetry(options) {
+    const attempts = this.config.osm.maxRetries * this.endpoints.size;
+    let lastError = null;
+
+    for (let i = 0; i < attempts; i++) {
+      const endpoint = await this.endpoints.acquire();
+      this.requestCount++;
+      const tally = requestTally.getStore();
+      if (tally) tally.requests++;
+      try {
+        // fetch has no timeout option; the abort counts as a failure below
+        const response = await this.fetch(endpoint.url, {
+          ...options,
+          signal: AbortSignal.timeout(this.config.osm.timeout),
+        });
+        if (response.ok) {
+          this.endpoints.reportSuccess(endpoint);
+          return response;
+        }
+        lastError = new Error(
+          `HTTP ${response.status}: ${response.statusText}`,
+        );
+        if (response.status !== 429 && response.status < 500) {
+          // Anything else (e.g. 400 for a bad query) won't succeed elsewhere
+          throw Object.assign(lastError, { fatal: true });
+        }
+        this.endpoints.reportFailure(endpoint, {
+          status: response.status,
+          retryAfter: this.endpoints.parseRetryAfter(
+            response.headers?.get?.('retry-after'),
+          ),
+        });
+      } catch (err) {
+        if (err.fatal) throw err;
+        const timedOut =
+          err.name === 'TimeoutError' || err.name === 'AbortError';
+        this.endpoints.reportFailure(endpoint, {
+          reason: timedOut
+            ? `timed out after ${this.config.osm.timeout / 1000}s`
+            : err.message,
+        });
+        lastError = err;
+      }
+    }
+    throw lastError;
+  }
+
+  /**
+   * Fetch the country boundary (level 2)
+   */
+  async fetchCountryBoundary(country) {
+    console.log(
       `\n🌍 Fetching country boundary for ${country.name} (${country.iso2})...`,
     );
 
-    const query = `
-[out:json][timeout:${Math.floor(this.config.osm.timeout / 1000)}];
-relation["admin_level"="2"]["ISO3166-1:alpha2"="${country.iso2}"];
-out body;
-    `;
+    const query = `
+[out:json][timeout:${Math.floor(this.config.osm.timeout / 1000)}];
+relation["admin_level"="2"]["ISO3166-1:alpha2"="${country.iso2}"];
+${this.outputStatement()}
+    `;
+
+    try {
+      const data = await this.runQuery(query);
+      if (data && data.elements && data.elements.length > 0) {
+        console.log(
+          `✅ Found country boundary: ${
+            data.elements[0].tags?.name || country.name
+          }`,
+        );
+        return data.elements[0];
+      }
+    } catch (err) {
+      console.error(`❌ Failed to fetch country boundary: ${err.message}`);
+    }
+    return null;
+  }
+
+  /**
+   * Fetch next administrative level using geographic containment (like Script 1)
+   */
+  async fetchNextLevel(parentBoundary, targetAdminLevel) {
+    const parentOsmId =
+      parentBoundary.osm_id || parentBoundary.rel_id || parentBoundary.id;
+
+    console.log(
+      `   → Searching for admin_level=${targetAdminLevel} within rel(${parentOsmId})...`,
+    );
+
+    // Failures propagate: a failed query must not look like an empty level
+    const elements = await this.queryChildren(
+      parentBoundary,
+      parentOsmId,
+      targetAdminLevel,
+      null,
+      0,
+    );
+    const uniqueElements = this.removeDuplicates(elements);
+    if (uniqueElements.length > 0) {
+      console.log(
+        `      ✓ Found ${uniqueElements.length} boundaries at level ${targetAdminLevel}`,
+      );
+    }
+    return uniqueElements;
+  }
+
+  /**
+   * Fetch the next level for many parents in one query. `foreach` emits each
+   * parent area followed by the relations it contains, so children keep
+   * exactly the parent they would get from per-parent queries.
+   * Returns a Map of parent OSM id -> child elements.
+   */
+  async fetchNextLevelBatch(parentBoundaries, targetAdminLevel) {
+    const parentIds = parentBoundaries.map((b) =>
+      String(b.osm_id || b.rel_id || b.id),
+    );
+
+    console.log(
+      `   → Searching for admin_level=${targetAdminLevel} within ${parentIds.length} parents...`,
+    );
+
+    const query = `
+[out:json][timeout:${Math.floor(this.config.osm.timeout / 1000)}];
+rel(id:${parentIds.join(',')});
+map_to_area;
+foreach -> .parentArea (
+  .parentArea out ids;
+  rel(area.parentArea)["admin_level"="${targetAdminLevel}"]["boundary"="administrative"];
+  ${this.outputStatement()}
+);
+    `;
+
+    let data;
+    try {
+      data = await this.runQuery(query);
+    } catch (err) {
+      if (!err.oversized) throw err;
+      return this.splitNextLevelBatch(parentBoundaries, targetAdminLevel);
+    }
+
+    const children = new Map(parentIds.map((id) => [id, []]));
+    let current = null;
+    for (const element of (data && data.elements) || []) {
+      if (element.type === 'area') {
+        current = children.get(String(element.id - AREA_ID_OFFSET)) || null;
+      } else if (current) {
+        current.push(element);
+      }
+    }
+
+    let found = 0;
+    for (const [id, elements] of children) {
+      const unique = this.removeDuplicates(elements);
+      children.set(id, unique);
+      found += unique.length;
+    }
+    if (found > 0) {
+      console.log(
+        `      ✓ Found ${found} boundaries at level ${targetAdminLevel}`,
+      );
+    }
+    return children;
+  }
+
+  /**
+   * Halve an oversized batch; a single parent falls back to the
+   * per-parent query, which can split by bbox tiles
+   */
+  async splitNextLevelBatch(parentBoundaries, targetAdminLevel) {
+    if (parentBoundaries.length === 1) {
+      const [parent] = parentBoundaries;
+      const elements = await this.fetchNextLevel(parent, targetAdminLevel);
+      return new Map([
+        [String(parent.osm_id || parent.rel_id || parent.id), elements],
+      ]);
+    }
+
+    console.log(
+      `      ⚠️ Batch too large, splitting ${parentBoundaries.length} parents in two...`,
+    );
+    const middle = Math.ceil(parentBoundaries.length / 2);
+    const merged = new Map();
+    for (const half of [
+      parentBoundaries.slice(0, middle),
+      parentBoundaries.slice(middle),
+    ]) {
+      const results = await this.fetchNextLevelBatch(half, targetAdminLevel);
+      for (const [id, elements] of results) merged.set(id, elements);
+    }
+    return merged;
+  }
+
+  childrenQuery(parentOsmId, targetAdminLevel, bbox) {
+    // Overpass bbox filter order is (south, west, north, east)
+    const bboxFilter = bbox
+      ? `(${bbox[1]},${bbox[0]},${bbox[3]},${bbox[2]})`
+      : '';
+    return `
+[out:json][timeout:${Math.floor(this.config.osm.timeout / 1000)}];
+rel(${parentOsmId});
+map_to_area -> .parentArea;
+(
+  rel(area.parentArea)["admin_level"="${targetAdminLevel}"]["boundary"="administrative"]${bboxFilter};
+);
+${this.outputStatement()}
+    `;
+  }
+
+  /**
+   * Query children of a parent, splitting the parent's bbox into quadrants
+   * whenever Overpass reports the query as too big (timeout / out of memory)
+   */
+  async queryChildren(
+    parentBoundary,
+    parentOsmId,
+    targetAdminLevel,
+    bbox,
+    depth,
+  ) {
+    try {
+      const data = await this.runQuery(
+        this.childrenQuery(parentOsmId, targetAdminLevel, bbox),
+      );
+      return (data && data.elements) || [];
+    } catch (err) {
+      if (!err.oversized || depth >= this.config.osm.maxSplitDepth) throw err;
+
+      const area = bbox || (await this.fetchBbox(parentBoundary, parentOsmId));
+      if (!area) throw err;
+
+      console.log(
+        `      ⚠️ Query too large, splitting into 4 tiles (depth ${depth + 1}/${this.config.osm.maxSplitDepth})...`,
+      );
+      const results = [];
+      for (const tile of this.splitBbox(area)) {
+        const tileElements = await this.queryChildren(
+          parentBoundary,
+          parentOsmId,
+          targetAdminLevel,
+          tile,
+          depth + 1,
+        );
+        results.push(...tileElements);
+      }
+      return results;
+    }
+  }
+
+  async fetchBbox(parentBoundary, parentOsmId) {
+    let bounds = parentBoundary.bounds;
+    if (!bounds) {
+      const [element] = await this.fetchRelationsById([parentOsmId], 'ids bb');
+      bounds = element?.bounds;
+    }
+    if (!bounds) return parentBoundary.bbox || null;
+    return [bounds.minlon, bounds.minlat, bounds.maxlon, bounds.maxlat];
+  }
+
+  splitBbox([minLon, minLat, maxLon, maxLat]) {
+    const midLon = (minLon + maxLon) / 2;
+    const midLat = (minLat + maxLat) / 2;
+    return [
+      [minLon, minLat, midLon, midLat],
+      [midLon, minLat, maxLon, midLat],
+      [minLon, midLat, midLon, maxLat],
+      [midLon, midLat, maxLon, maxLat],
+    ];
+  }
+
+  /**
+   * Fetch relations by OSM id, chunked, with the given `out` mode
+   * (e.g. `geom` for full shapes or `ids bb` for bounds only)
+   */
+  async fetchRelationsById(osmIds, output, chunkSize = 50) {
+    const elements = [];
+    for (let i = 0; i < osmIds.length; i += chunkSize) {
+      const chunk = osmIds.slice(i, i + chunkSize);
+      const query = `
+[out:json][timeout:${Math.floor(this.config.osm.timeout / 1000)}];
+rel(id:${chunk.join(',')});
+out ${output};
+    `;
+
+      const data = await this.runQuery(query);
+      if (data && data.elements) elements.push(...data.elements);
+    }
+    return elements;
+  }
+
+  /**
+   * Ways with node coordinates (`out geom`)
+   */
+  async fetchWaysById(wayIds, chunkSize = 500) {
+    const elements = [];
+    for (let i = 0; i < wayIds.length; i += chunkSize) {
+      const chunk = wayIds.slice(i, i + chunkSize);
+      const query = `
+[out:json][timeout:${Math.floor(this.config.osm.timeout / 1000)}];
+way(id:${chunk.join(',')});
+out geom;
+    `;
+
+      const data = await this.runQuery(query);
+      if (data && data.elements) elements.push(...data.elements);
+    }
+    return elements;
+  }
+
+  removeDuplicates(elements) {
+    const unique = {};
+    elements.forEach((e) => {
+      if (!unique[e.id]) {
+        unique[e.id] = e;
+      }
+    });
+    return Object.values(unique);
+  }
+}
+
+// ============================================================================
+// GEOMETRY BUILDER - Relation members to GeoJSON
+// ============================================================================
+
+const EARTH_RADIUS = 6378137; // WGS84 equatorial radius in meters
+
+class GeometryBuilder {
+  /**
+   * Build GeoJSON geometry, bbox, centroid and area from an `out geom` relation
+   */
+  fromRelation(osmElement) {
+    if (!osmElement || !Array.isArray(osmElement.members)) return null;
+
+    const outerWays = [];
+    const innerWays = [];
+    for (const member of osmElement.members) {
+      if (member.type !== 'way' || !Array.isArray(member.geometry)) continue;
+      const coords = member.geometry
+        .filter((p) => p && typeof p.lat === 'number')
+        .map((p) => [p.lon, p.lat]);
+      if (coords.length < 2) continue;
+      if (member.role === 'inner') innerWays.push(coords);
+      else if (member.role === 'outer' || member.role === '') {
+        outerWays.push(coords);
+      }
+    }
+
+    const outer = this.assembleRings(outerWays);
+    const inner = this.assembleRings(innerWays);
+    if (outer.unclosed + inner.unclosed > 0) {
+      console.warn(
+        `      ⚠️ Relation ${osmElement.id}: ${
+          outer.unclosed + inner.unclosed
+        } unclosed ring(s) dropped`,
+      );
+    }
+    if (outer.rings.length === 0) return null;
+
+    const geometry = this.buildGeometry(outer.rings, inner.rings);
+    return {
+      geometry,
+      bbox: this.computeBbox(geometry),
+      centroid: this.computeCentroid(geometry),
+      area_km2: Math.round(this.geometryArea(geometry) / 1e4) / 100,
+    };
+  }
+
+  /**
+   * Join way segments that share endpoints into closed rings
+   */
+  assembleRings(ways) {
+    const pending = ways.map((w) => w.slice());
+    const rings = [];
+    let unclosed = 0;
+
+    while (pending.length > 0) {
+      let current = pending.shift();
+      let extended = true;
+
+      while (!this.isClosed(current) && extended) {
+        extended = false;
+        for (let i = 0; i < pending.length; i++) {
+          const way = pending[i];
+          const head = current[0];
+          const tail = current[current.length - 1];
+
+          if (this.samePoint(tail, way[0])) {
+            current = current.concat(way.slice(1));
+          } else if (this.samePoint(tail, way[way.length - 1])) {
+            current = current.concat(way.slice(0, -1).reverse());
+          } else if (this.samePoint(head, way[way.length - 1])) {
+            current = way.slice(0, -1).concat(current);
+          } else if (this.samePoint(head, way[0])) {
+            current = way.slice(1).reverse().concat(current);
+          } else {
+            continue;
+          }
+          pending.splice(i, 1);
+          extended = true;
+          break;
+        }
+      }
+
+      if (this.isClosed(current) && current.length >= 4) {
+        rings.push(current);
+      } else {
+        unclosed++;
+      }
+    }
+
+    return { rings, unclosed };
+  }
+
+  /**
+   * Assign holes to their outer ring and emit a Polygon or MultiPolygon
+   * (outer rings counter-clockwise, holes clockwise per RFC 7946)
+   */
+  buildGeometry(outerRings, innerRings) {
+    const polygons = outerRings
+      .map((ring) => ({
+        ring,
+        size: Math.abs(this.planarArea(ring)),
+        holes: [],
+      }))
+      .sort((a, b) => a.size - b.size);
+
+    for (const hole of innerRings) {
+      // Smallest containing outer ring wins
+      const owner = polygons.find((p) => this.pointInRing(hole[0], p.ring));
+      if (owner) owner.holes.push(hole);
+    }
+
+    const coordinates = polygons.map((p) => [
+      this.orientRing(p.ring, true),
+      ...p.holes.map((h) => this.orientRing(h, false)),
+    ]);
+
+    return coordinates.length === 1
+      ? { type: 'Polygon', coordinates: coordinates[0] }
+      : { type: 'MultiPolygon', coordinates };
+  }
+
+  polygonsOf(geometry) {
+    if (!geometry) return [];
+    return geometry.type === 'Polygon'
+      ? [geometry.coordinates]
+      : geometry.coordinates;
+  }
+
+  computeBbox(geometry) {
+    let minLon = Infinity;
+    let minLat = Infinity;
+    let maxLon = -Infinity;
+    let maxLat = -Infinity;
+    for (const polygon of this.polygonsOf(geometry)) {
+      for (const [lon, lat] of polygon[0]) {
+        if (lon < minLon) minLon = lon;
+        if (lat < minLat) minLat = lat;
+        if (lon > maxLon) maxLon = lon;
+        if (lat > maxLat) maxLat = lat;
+      }
+    }
+    return [minLon, minLat, maxLon, maxLat];
+  }
+
+  /**
+   * Area-weighted centroid of all rings (holes subtract), as a GeoJSON Point
+   */
+  computeCentroid(geometry) {
+    let sumArea = 0;
+    let sumX = 0;
+    let sumY = 0;
+
+    for (const polygon of this.polygonsOf(geometry)) {
+      polygon.forEach((ring, index) => {
+        const { area, x, y } = this.ringCentroid(ring);
+        const weight = index === 0 ? Math.abs(area) : -Math.abs(area);
+        sumArea += weight;
+        sumX += x * weight;
+        sumY += y * weight;
+      });
+    }
+
+    if (Math.abs(sumArea) < 1e-12) {
+      const [minLon, minLat, maxLon, maxLat] = this.computeBbox(geometry);
+      return {
+        type: 'Point',
+        coordinates: [(minLon + maxLon) / 2, (minLat + maxLat) / 2],
+      };
+    }
+    return { type: 'Point', coordinates: [sumX / sumArea, sumY / sumArea] };
+  }
+
+  ringCentroid(ring) {
+    let area = 0;
+    let x = 0;
+    let y = 0;
+    for (let i = 0; i < ring.length - 1; i++) {
+      const [x0, y0] = ring[i];
+      const [x1, y1] = ring[i + 1];
+      const cross = x0 * y1 - x1 * y0;
+      area += cross;
+      x += (x0 + x1) * cross;
+      y += (y0 + y1) * cross;
+    }
+    area /= 2;
+    if (area === 0) return { area: 0, x: ring[0][0], y: ring[0][1] };
+    return { area, x: x / (6 * area), y: y / (6 * area) };
+  }
+
+  /**
+   * Geodesic area in square meters (spherical approximation)
+   */
+  geometryArea(geometry) {
+    let total = 0;
+    for (const polygon of this.polygonsOf(geometry)) {
+      polygon.forEach((ring, index) => {
+        const area = this.ringGeodesicArea(ring);
+        total += index === 0 ? area : -area;
+      });
+    }
+    return Math.max(total, 0);
+  }
+
+  ringGeodesicArea(ring) {
+    const coords = this.isClosed(ring) ? ring.slice(0, -1) : ring;
+    const n = coords.length;
+    if (n < 3) return 0;
+
+    const rad = (deg) => (deg * Math.PI) / 180;
+    let total = 0;
+    for (let i = 0; i < n; i++) {
+      const lower = coords[i];
+      const middle = coords[(i + 1) % n];
+      const upper = coords[(i + 2) % n];
+      total += (rad(upper[0]) - rad(lower[0])) * Math.sin(rad(middle[1]));
+    }
+    return Math.abs((total * EARTH_RADIUS * EARTH_RADIUS) / 2);
+  }
+
+  /**
+   * Great-circle length in meters of a [lon, lat] line
+   */
+  lineLength(coords) {
+    const rad = (deg) => (deg * Math.PI) / 180;
+    let total = 0;
+    for (let i = 1; i < coords.length; i++) {
+      const [lon1, lat1] = coords[i - 1];
+      const [lon2, lat2] = coords[i];
+      const a =
+        Math.sin(rad(lat2 - lat1) / 2) ** 2 +
+        Math.cos(rad(lat1)) *
+          Math.cos(rad(lat2)) *
+          Math.sin(rad(lon2 - lon1) / 2) ** 2;
+      total += 2 * EARTH_RADIUS * Math.asin(Math.sqrt(a));
+    }
+    return total;
+  }
+
+  /**
+   * Signed shoelace area in degrees² (positive = counter-clockwise)
+   */
+  planarArea(ring) {
+    let area = 0;
+    for (let i = 0; i < ring.length - 1; i++) {
+      area += ring[i][0] * ring[i + 1][1] - ring[i + 1][0] * ring[i][1];
+    }
+    return area / 2;
+  }
+
+  orientRing(ring, counterClockwise) {
+    const isCcw = this.planarArea(ring) > 0;
+    return isCcw === counterClockwise ? ring : ring.slice().reverse();
+  }
+
+  /**
+   * Ray-casting point-in-ring test, point as [lon, lat]
+   */
+  pointInRing(point, ring) {
+    const [px, py] = point;
+    let inside = false;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+      const [xi, yi] = ring[i];
+      const [xj, yj] = ring[j];
+      if (
+        yi > py !== yj > py &&
+        px < ((xj - xi) * (py - yi)) / (yj - yi) + xi
+      ) {
+        inside = !inside;
+      }
+    }
+    return inside;
+  }
+
+  /**
+   * Point-in-(Multi)Polygon test honouring holes, point as [lon, lat]
+   */
+  containsPoint(geometry, point) {
+    return this.polygonsOf(geometry).some(
+      ([outer, ...holes]) =>
+        this.pointInRing(point, outer) &&
+        !holes.some((hole) => this.pointInRing(point, hole)),
+    );
+  }
+
+  /**
+   * Whether a child shape lies inside a parent shape: its centroid, or most
+   * of its sampled outer ring vertices, fall within the parent polygon.
+   * Shapes are `{ geometry, bbox, centroid }` as returned by fromRelation.
+   */
+  isWithin(child, parent) {
+    if (!this.bboxOverlaps(child.bbox, parent.bbox)) return false;
+    if (this.containsPoint(parent.geometry, child.centroid.coordinates)) {
+      return true;
+    }
+
+    const vertices = this.polygonsOf(child.geometry).flatMap((p) => p[0]);
+    const step = Math.max(1, Math.floor(vertices.length / 25));
+    let inside = 0;
+    let sampled = 0;
+    for (let i = 0; i < vertices.length; i += step) {
+      sampled++;
+      if (this.containsPoint(parent.geometry, vertices[i])) inside++;
+    }
+    return inside * 2 > sampled;
+  }
+
+  /**
+   * Approximate share (0..1) of the child shape covered by the parent,
+   * sampled on a grid over the child's bbox
+   */
+  overlapFraction(child, parent, gridSize = 10) {
+    if (!this.bboxOverlaps(child.bbox, parent.bbox)) return 0;
+
+    const [minLon, minLat, maxLon, maxLat] = child.bbox;
+    const dLon = (maxLon - minLon) / gridSize;
+    const dLat = (maxLat - minLat) / gridSize;
+    let inChild = 0;
+    let inBoth = 0;
+    for (let i = 0; i < gridSize; i++) {
+      for (let j = 0; j < gridSize; j++) {
+        const point = [minLon + (i + 0.5) * dLon, minLat + (j + 0.5) * dLat];
+        if (!this.containsPoint(child.geometry, point)) continue;
+        inChild++;
+        if (this.containsPoint(parent.geometry, point)) inBoth++;
+      }
+    }
+    return inChild === 0 ? 0 : inBoth / inChild;
+  }
+
+  bboxOverlaps(a, b) {
+    return a[0] <= b[2] && a[2] >= b[0] && a[1] <= b[3] && a[3] >= b[1];
+  }
+
+  /**
+   * Convert Overpass `bounds` to a [minLon, minLat, maxLon, maxLat] bbox
+   */
+  boundsToBbox(bounds) {
+    if (!bounds) return null;
+    return [bounds.minlon, bounds.minlat, bounds.maxlon, bounds.maxlat];
+  }
+
+  isClosed(ring) {
+    return ring.length > 1 && this.samePoint(ring[0], ring[ring.length - 1]);
+  }
+
+  samePoint(a, b) {
+    return a[0] === b[0] && a[1] === b[1];
+  }
+}
+
+// ============================================================================
+// OSM FILE READER - Streaming .osm.pbf / OSM XML decoding
+// ============================================================================
+
+const MEMBER_TYPES = ['node', 'way', 'relation'];
+
+/**
+ * Minimal protobuf wire-format reader (just what the OSM PBF schema needs)
+ */
+class ProtoReader {
+  constructor(buf, start = 0, end = buf.length) {
+    this.buf = buf;
+    this.pos = start;
+    this.end = end;
+  }
+
+  eof() {
+    return this.pos >= this.end;
+  }
+
+  // Multiplication instead of bit shifts keeps 64-bit ids exact up to 2^53
+  varint() {
+    let result = 0;
+    let shift = 1;
+    let byte;
+    do {
+      byte = this.buf[this.pos++];
+      result += (byte & 0x7f) * shift;
+      shift *= 128;
+    } while (byte & 0x80);
+    return result;
+  }
+
+  // Two's complement int64 fields (negative values take ten bytes)
+  int64() {
+    let result = 0n;
+    let shift = 0n;
+    let byte;
+    do {
+      byte = this.buf[this.pos++];
+      result |= BigInt(byte & 0x7f) << shift;
+      shift += 7n;
+    } while (byte & 0x80);
+    return Number(BigInt.asIntN(64, result));
+  }
+
+  svarint() {
+    const value = this.varint();
+    return value % 2 === 1 ? -(value + 1) / 2 : value / 2;
+  }
+
+  tag() {
+    const key = this.varint();
+    return { field: Math.floor(key / 8), wire: key % 8 };
+  }
+
+  sub() {
+    const length = this.varint();
+    const reader = new ProtoReader(this.buf, this.pos, this.pos + length);
+    this.pos += length;
+    return reader;
+  }
+
+  bytes() {
+    const length = this.varint();
+    const bytes = this.buf.subarray(this.pos, this.pos + length);
+    this.pos += length;
+    return bytes;
+  }
+
+  /**
+   * Read a repeated scalar field, accepting packed and unpacked encodings
+   */
+  repeated(wire, signed = false, values = []) {
+    if (wire !== 2) {
+      values.push(signed ? this.svarint() : this.varint());
+      return values;
+    }
+    const reader = this.sub();
+    while (!reader.eof()) {
+      values.push(signed ? reader.svarint() : reader.varint());
+    }
+    return values;
+  }
+
+  static undelta(values) {
+    for (let i = 1; i < values.length; i++) values[i] += values[i - 1];
+    return values;
+  }
+
+  skip(wire) {
+    if (wire === 0) this.varint();
+    else if (wire === 1) this.pos += 8;
+    else if (wire === 2) {
+      const length = this.varint();
+      this.pos += length;
+    } else if (wire === 5) this.pos += 4;
+    else throw new Error(`Unsupported protobuf wire type ${wire}`);
+  }
+}
+
+class OSMFileReader {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.format = /\.pbf$/i.test(filePath) ? 'pbf' : 'xml';
+  }
+
+  /**
+   * Stream every element through the given handlers. Element types without
+   * a handler are skipped without decoding. Node tags are never decoded.
+   *   node(id, lat, lon) / way({ id, refs, tags }) /
+   *   relation({ id, version, timestamp, tags, members: [{ type, ref, role }] })
+   */
+  async scan(handlers) {
+    return this.format === 'pbf'
+      ? this.scanPbf(handlers)
+      : this.scanXml(handlers);
+  }
+
+  async scanPbf(handlers) {
+    const fs = require('fs');
+    const zlib = require('zlib');
+    const file = await fs.promises.open(this.filePath, 'r');
+
+    try {
+      const { size } = await file.stat();
+      let position = 0;
+
+      while (position < size) {
+        const lengthBuf = Buffer.alloc(4);
+        await file.read(lengthBuf, 0, 4, position);
+        const headerLength = lengthBuf.readUInt32BE(0);
+        position += 4;
+
+        const headerBuf = Buffer.alloc(headerLength);
+        await file.read(headerBuf, 0, headerLength, position);
+        position += headerLength;
+
+        let type = null;
+        let dataSize = 0;
+        const header = new ProtoReader(headerBuf);
+        while (!header.eof()) {
+          const { field, wire } = header.tag();
+          if (field === 1) type = header.bytes().toString('utf8');
+          else if (field === 3) dataSize = header.varint();
+          else header.skip(wire);
+        }
+
+        if (type === 'OSMData') {
+          const blobBuf = Buffer.alloc(dataSize);
+          await file.read(blobBuf, 0, dataSize, position);
+          this.decodePrimitiveBlock(this.decodeBlob(blobBuf, zlib), handlers);
+        }
+        position += dataSize;
+      }
+    } finally {
+      await file.close();
+    }
+  }
+
+  decodeBlob(blobBuf, zlib) {
+    const blob = new ProtoReader(blobBuf);
+    while (!blob.eof()) {
+      const { field, wire } = blob.tag();
+      if (field === 1) return Buffer.from(blob.bytes());
+      if (field === 3) return zlib.inflateSync(blob.bytes());
+      if (field === 4 || field === 5 || field === 6 || field === 7) {
+        throw new Error('Only raw and zlib compressed PBF blobs are supported');
+      }
+      blob.skip(wire);
+    }
+    throw new Error('Empty PBF blob');
+  }
+
+  decodePrimitiveBlock(buf, handlers) {
+    const block = new ProtoReader(buf);
+    const strings = [];
+    const groups = [];
+    let granularity = 100;
+    let dateGranularity = 1000;
+    let latOffset = 0;
+    let lonOffset = 0;
+
+    while (!block.eof()) {
+      const { field, wire } = block.tag();
+      if (field === 1) {
+        const table = block.sub();
+        while (!table.eof()) {
+          const entry = table.tag();
+          if (entry.field === 1) strings.push(table.bytes().toString('utf8'));
+          else table.skip(entry.wire);
+        }
+      } else if (field === 2) groups.push(block.sub());
+      else if (field === 17) granularity = block.varint();
+      else if (field === 18) dateGranularity = block.varint();
+      else if (field === 19) latOffset = block.int64();
+      else if (field === 20) lonOffset = block.int64();
+      else block.skip(wire);
+    }
+
+    const toLat = (raw) => 1e-9 * (latOffset + granularity * raw);
+    const toLon = (raw) => 1e-9 * (lonOffset + granularity * raw);
+
+    for (const group of groups) {
+      while (!group.eof()) {
+        const { field, wire } = group.tag();
+        if (field === 1 && handlers.node) {
+          this.decodeNode(group.sub(), toLat, toLon, handlers.node);
+        } else if (field === 2 && handlers.node) {
+          this.decodeDenseNodes(group.sub(), toLat, toLon, handlers.node);
+        } else if (field === 3 && handlers.way) {
+          handlers.way(this.decodeWay(group.sub(), strings));
+        } else if (field === 4 && handlers.relation) {
+          handlers.relation(
+            this.decodeRelation(group.sub(), strings, dateGranularity),
+          );
+        } else {
+          group.skip(wire);
+        }
+      }
+    }
+  }
+
+  decodeNode(reader, toLat, toLon, onNode) {
+    let id = 0;
+    let lat = 0;
+    let lon = 0;
+    while (!reader.eof()) {
+      const { field, wire } = reader.tag();
+      if (field === 1) id = reader.svarint();
+      else if (field === 8) lat = reader.svarint();
+      else if (field === 9) lon = reader.svarint();
+      else reader.skip(wire);
+    }
+    onNode(id, toLat(lat), toLon(lon));
+  }
+
+  decodeDenseNodes(reader, toLat, toLon, onNode) {
+    const ids = [];
+    const lats = [];
+    const lons = [];
+    while (!reader.eof()) {
+      const { field, wire } = reader.tag();
+      if (field === 1) reader.repeated(wire, true, ids);
+      else if (field === 8) reader.repeated(wire, true, lats);
+      else if (field === 9) reader.repeated(wire, true, lons);
+      else reader.skip(wire);
+    }
+    ProtoReader.undelta(ids);
+    ProtoReader.undelta(lats);
+    ProtoReader.undelta(lons);
+    for (let i = 0; i < ids.length; i++) {
+      onNode(ids[i], toLat(lats[i]), toLon(lons[i]));
+    }
+  }
+
+  decodeTags(keys, vals, strings) {
+    if (keys.length === 0) return undefined;
+    const tags = {};
+    keys.forEach((k, i) => {
+      tags[strings[k]] = strings[vals[i]];
+    });
+    return tags;
+  }
+
+  decodeWay(reader, strings) {
+    let id = 0;
+    const keys = [];
+    const vals = [];
+    const refs = [];
+    while (!reader.eof()) {
+      const { field, wire } = reader.tag();
+      if (field === 1) id = reader.varint();
+      else if (field === 2) reader.repeated(wire, false, keys);
+      else if (field === 3) reader.repeated(wire, false, vals);
+      else if (field === 8) reader.repeated(wire, true, refs);
+      else reader.skip(wire);
+    }
+    ProtoReader.undelta(refs);
+    return { id, refs, tags: this.decodeTags(keys, vals, strings) };
+  }
+
+  decodeRelation(reader, strings, dateGranularity) {
+    let id = 0;
+    let info = {};
+    const keys = [];
+    const vals = [];
+    const roles = [];
+    const memberIds = [];
+    const types = [];
+    while (!reader.eof()) {
+      const { field, wire } = reader.tag();
+      if (field === 1) id = reader.varint();
+      else if (field === 2) reader.repeated(wire, false, keys);
+      else if (field === 3) reader.repeated(wire, false, vals);
+      else if (field === 4)
+        info = this.decodeInfo(reader.sub(), dateGranularity);
+      else if (field === 8) reader.repeated(wire, false, roles);
+      else if (field === 9) reader.repeated(wire, true, memberIds);
+      else if (field === 10) reader.repeated(wire, false, types);
+      else reader.skip(wire);
+    }
+    ProtoReader.undelta(memberIds);
+    return {
+      id,
+      ...info,
+      tags: this.decodeTags(keys, vals, strings),
+      members: memberIds.map((ref, i) => ({
+        type: MEMBER_TYPES[types[i]] || 'node',
+        ref,
+        role: strings[roles[i]] || '',
+      })),
+    };
+  }
+
+  /**
+   * Version and timestamp from an element's Info message (absent in extracts
+   * written without metadata)
+   */
+  decodeInfo(reader, dateGranularity) {
+    const info = {};
+    while (!reader.eof()) {
+      const { field, wire } = reader.tag();
+      if (field === 1) info.version = reader.varint();
+      else if (field === 2) {
+        info.timestamp = new Date(reader.varint() * dateGranularity)
+          .toISOString()
+          .replace('.000Z', 'Z');
+      } else reader.skip(wire);
+    }
+    return info;
+  }
+
+  /**
+   * Tag-level XML scanner - OSM XML is flat enough that a regex over the
+   * stream is sufficient and avoids a parser dependency
+   */
+  async scanXml(handlers) {
+    const fs = require('fs');
+    const zlib = require('zlib');
+
+    let stream = fs.createReadStream(this.filePath);
+    if (/\.gz$/i.test(this.filePath)) stream = stream.pipe(zlib.createGunzip());
+    stream.setEncoding('utf8');
+
+    // Quoted attribute values may contain '>'
+    const tagPattern =
+      /<(\/?)(node|way|relation|nd|member|tag)\b((?:[^>"']|"[^"]*"|'[^']*')*?)(\/?)>/g;
+    let buffer = '';
+    let current = null;
+
+    const emit = (element) => {
+      if (element.type === 'way' && handlers.way) {
+        handlers.way({
+          id: element.id,
+          refs: element.refs,
+          tags: element.tags,
+        });
+      } else if (element.type === 'relation' && handlers.relation) {
+        handlers.relation({
+          id: element.id,
+          version: element.version,
+          timestamp: element.timestamp,
+          tags: element.tags,
+          members: element.members,
+        });
+      }
+    };
+
+    for await (const chunk of stream) {
+      buffer += chunk;
+      tagPattern.lastIndex = 0;
+      let consumed = 0;
+      let match;
+
+      while ((match = tagPattern.exec(buffer))) {
+        consumed = tagPattern.lastIndex;
+        const [, closing, name, rawAttrs, selfClosing] = match;
+
+        if (closing) {
+          if (current && current.type === name) emit(current);
+          current = null;
+          continue;
+        }
+
+        const attrs = this.parseXmlAttributes(rawAttrs);
+        if (name === 'node') {
+          if (handlers.node) {
+            handlers.node(
+              Number(attrs.id),
+              Number(attrs.lat),
+              Number(attrs.lon),
+            );
+          }
+        } else if (name === 'way' || name === 'relation') {
+          current = {
+            type: name,
+            id: Number(attrs.id),
+            version: attrs.version ? Number(attrs.version) : undefined,
+            timestamp: attrs.timestamp,
+            refs: [],
+            members: [],
+          };
+          if (selfClosing) {
+            emit(current);
+            current = null;
+          }
+        } else if (!current) {
+          continue;
+        } else if (name === 'nd') {
+          current.refs.push(Number(attrs.ref));
+        } else if (name === 'member') {
+          current.members.push({
+            type: attrs.type,
+            ref: Number(attrs.ref),
+            role: attrs.role || '',
+          });
+        } else if (name === 'tag') {
+          current.tags = current.tags || {};
+          current.tags[attrs.k] = attrs.v;
+        }
+      }
+
+      buffer = buffer.slice(consumed);
+    }
+  }
+
+  parseXmlAttributes(raw) {
+    const attrs = {};
+    const attrPattern = /([\w:]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+    let match;
+    while ((match = attrPattern.exec(raw))) {
+      attrs[match[1]] = this.decodeXmlEntities(match[2] ?? match[3]);
+    }
+    return attrs;
+  }
+
+  decodeXmlEntities(value) {
+    if (!value.includes('&')) return value;
+    return value.replace(
+      /&(#x[0-9a-f]+|#\d+|amp|lt|gt|quot|apos);/gi,
+      (_, e) => {
+        if (e[0] === '#') {
+          return String.fromCodePoint(
+            e[1] === 'x' || e[1] === 'X'
+              ? parseInt(e.slice(2), 16)
+              : parseInt(e.slice(1), 10),
+          );
+        }
+        return { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" }[
+          e.toLowerCase()
+        ];
+      },
+    );
+  }
+}
+
+// ============================================================================
+// OSM FILE SERVICE - Offline source with the same interface as OSMService
+// ============================================================================
+
+class OSMFileService {
+  constructor(config) {
+    this.config = config;
+    this.reader = new OSMFileReader(config.source.file);
+    this.geometry = new GeometryBuilder();
+    this.relations = new Map(); // osm id -> admin relation
+    this.byLevel = new Map(); // admin_level -> [relation]
+    this.shapes = new Map(); // osm id -> { geometry, bbox, centroid, area_km2 }
+    this.wayRefs = new Map(); // way id -> node ids
+    this.nodeIds = null; // sorted Float64Array of needed node ids
+    this.nodeLat = null;
+    this.nodeLon = null;
+    this.requestCount = 0; // Never makes Overpass requests
+    this.dataTimestamp = null; // Extract modification time
+  }
+
+  /**
+   * Load admin relations in three passes (relations -> ways -> nodes) so only
+   * the nodes of boundary ways are ever held in memory
+   */
+  async initialize() {
+    const file = this.config.source.file;
+    console.log(`📂 Reading administrative boundaries from ${file}...`);
+    const { mtime } = await require('fs').promises.stat(file);
+    this.dataTimestamp = mtime.toISOString();
+
+    const neededWays = new Set();
+    await this.reader.scan({
+      relation: (rel) => {
+        if (rel.tags?.boundary !== 'administrative') return;
+        const level = parseInt(rel.tags.admin_level, 10);
+        if (isNaN(level)) return;
+
+        this.relations.set(rel.id, rel);
+        if (!this.byLevel.has(level)) this.byLevel.set(level, []);
+        this.byLevel.get(level).push(rel);
+        for (const member of rel.members) {
+          if (member.type === 'way') neededWays.add(member.ref);
+        }
+      },
+    });
+    console.log(`   ✓ ${this.relations.size} administrative relations`);
+
+    let nodeCount = 0;
+    await this.reader.scan({
+      way: (way) => {
+        if (!neededWays.has(way.id)) return;
+        this.wayRefs.set(way.id, Float64Array.from(way.refs));
+        nodeCount += way.refs.length;
+      },
+    });
+    console.log(`   ✓ ${this.wayRefs.size} boundary ways`);
+
+    const ids = new Float64Array(nodeCount);
+    let offset = 0;
+    for (const refs of this.wayRefs.values()) {
+      ids.set(refs, offset);
+      offset += refs.length;
+    }
+    ids.sort();
+    let unique = 0;
+    for (let i = 0; i < ids.length; i++) {
+      if (i === 0 || ids[i] !== ids[i - 1]) ids[unique++] = ids[i];
+    }
+    this.nodeIds = ids.slice(0, unique);
+    this.nodeLat = new Float64Array(unique).fill(NaN);
+    this.nodeLon = new Float64Array(unique).fill(NaN);
+
+    // Sorted extracts allow a merge walk; re-seek when ids go backwards
+    let cursor = 0;
+    let lastId = -Infinity;
+    await this.reader.scan({
+      node: (id, lat, lon) => {
+        if (id < lastId) cursor = this.lowerBound(id);
+        lastId = id;
+        while (cursor < unique && this.nodeIds[cursor] < id) cursor++;
+        if (this.nodeIds[cursor] !== id) return;
+        this.nodeLat[cursor] = lat;
+        this.nodeLon[cursor] = lon;
+      },
+    });
+    console.log(`   ✓ ${unique} boundary nodes`);
+
+    for (const rel of this.relations.values()) {
+      const shape = this.geometry.fromRelation(this.toElement(rel, true));
+      if (shape) this.shapes.set(rel.id, shape);
+    }
+    console.log(`✅ Built geometry for ${this.shapes.size} boundaries`);
+    return this;
+  }
+
+  lowerBound(id) {
+    let low = 0;
+    let high = this.nodeIds.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (this.nodeIds[mid] < id) low = mid + 1;
+      else high = mid;
+    }
+    return low;
+  }
+
+  nodeCoord(id) {
+    const index = this.lowerBound(id);
+    if (this.nodeIds[index] !== id || isNaN(this.nodeLat[index])) return null;
+    return { lat: this.nodeLat[index], lon: this.nodeLon[index] };
+  }
+
+  /**
+   * Shape a relation like an Overpass `out body` / `out geom` element
+   */
+  toElement(rel, withGeometry) {
+    const shape = this.shapes.get(rel.id);
+    const element = {
+      type: 'relation',
+      id: rel.id,
+      version: rel.version,
+      timestamp: rel.timestamp,
+      tags: rel.tags,
+      members: rel.members.map((member) => ({ ...member })),
+    };
+    if (shape) {
+      const [minlon, minlat, maxlon, maxlat] = shape.bbox;
+      element.bounds = { minlat, minlon, maxlat, maxlon };
+    }
+    if (withGeometry) {
+      for (const member of element.members) {
+        const refs = member.type === 'way' && this.wayRefs.get(member.ref);
+        if (refs) {
+          member.geometry = Array.from(refs, (ref) => this.nodeCoord(ref));
+        }
+      }
+    }
+    return element;
+  }
+
+  /**
+   * Fetch the country boundary (level 2)
+   */
+  async fetchCountryBoundary(country) {
+    console.log(
+      `\n🌍 Looking up country boundary for ${country.name} (${country.iso2})...`,
+    );
+
+    const match = (this.byLevel.get(2) || []).find(
+      (rel) =>
+        rel.tags['ISO3166-1:alpha2'] === country.iso2 ||
+        rel.tags['ISO3166-1'] === country.iso2,
+    );
+    if (!match) {
+      console.error(
+        `❌ Country boundary not found in ${this.config.source.file}`,
+      );
+      return null;
+    }
+
+    console.log(
+      `✅ Found country boundary: ${match.tags.name || country.name}`,
+    );
+    return this.toElement(match, needsMemberGeometry(this.config));
+  }
+
+  /**
+   * Find next administrative level by geometric containment in the parent
+   */
+  async fetchNextLevel(parentBoundary, targetAdminLevel) {
+    const parentOsmId = Number(
+      parentBoundary.osm_id || parentBoundary.rel_id || parentBoundary.id,
+    );
+
+    console.log(
+      `   → Searching for admin_level=${targetAdminLevel} within rel(${parentOsmId})...`,
+    );
+
+    const parentShape = this.shapes.get(parentOsmId);
+    if (!parentShape) {
+      console.error(
+        `      ✗ No geometry for rel(${parentOsmId}) in extract, cannot resolve children`,
+      );
+      return [];
+    }
+
+    const children = (this.byLevel.get(targetAdminLevel) || []).filter(
+      (rel) => {
+        const shape = this.shapes.get(rel.id);
+        return (
+          shape &&
+          rel.id !== parentOsmId &&
+          this.geometry.isWithin(shape, parentShape)
+        );
+      },
+    );
+
+    if (children.length > 0) {
+      console.log(
+        `      ✓ Found ${children.length} boundaries at level ${targetAdminLevel}`,
+      );
+    }
+    return children.map((rel) =>
+      this.toElement(rel, needsMemberGeometry(this.config)),
+    );
+  }
+
+  async fetchNextLevelBatch(parentBoundaries, targetAdminLevel) {
+    const children = new Map();
+    for (const parent of parentBoundaries) {
+      children.set(
+        String(parent.osm_id || parent.rel_id || parent.id),
+        await this.fetchNextLevel(parent, targetAdminLevel),
+      );
+    }
+    return children;
+  }
+
+  async fetchRelationsById(osmIds, output) {
+    const withGeometry = output.includes('geom');
+    return osmIds
+      .map((id) => this.relations.get(Number(id)))
+      .filter(Boolean)
+      .map((rel) => this.toElement(rel, withGeometry));
+  }
+
+  async fetchWaysById(wayIds) {
+    return wayIds
+      .filter((id) => this.wayRefs.has(Number(id)))
+      .map((id) => ({
+        type: 'way',
+        id: Number(id),
+        geometry: Array.from(this.wayRefs.get(Number(id)), (ref) =>
+          this.nodeCoord(ref),
+        ),
+      }));
+  }
+}
+
+// ============================================================================
+// ADMIN LEVEL PROFILES - What each admin_level means in a country
+// ============================================================================
+
+const PROFILE_KEYS = ['maxAdminLevel', 'levels'];
+const PROFILE_LEVEL_KEYS = ['name', 'import', 'custom_level'];
+
+/**
+ * Per-country profiles loaded from `processing.levelProfiles`, a JSON or
+ * YAML file keyed by ISO2 (plus an optional `default` entry), e.g.
+ *
+ *   DE:
+ *     maxAdminLevel: 8
+ *     levels:
+ *       4: { name: Bundesland, custom_level: 1 }
+ *       5: { name: Regierungsbezirk, import: false }
+ *       6: { name: Kreis, custom_level: 2 }
+ */
+class LevelProfiles {
+  constructor(config) {
+    this.config = config;
+    this.profiles = {};
+  }
+
+  async load() {
+    const file = this.config.processing.levelProfiles;
+    if (!file) return this;
+
+    const text = await require('fs').promises.readFile(file, 'utf8');
+    const profiles = parseDataFile(text, file);
+    this.profiles = this.validate(profiles, file);
+    console.log(
+      `🗺️  Loaded admin level profiles for ${Object.keys(this.profiles).join(', ')}`,
+    );
+    return this;
+  }
+
+  /**
+   * Check the whole file and throw a ConfigError listing every problem
+   */
+  validate(profiles, file) {
+    const isObject = (value) =>
+      value != null && typeof value === 'object' && !Array.isArray(value);
+    if (!isObject(profiles)) {
+      throw new ConfigError(
+        ['expected an object keyed by ISO2 country code'],
+        file,
+      );
+    }
+
+    const problems = [];
+    for (const [key, profile] of Object.entries(profiles)) {
+      if (key !== 'default' && !/^[A-Z]{2}$/.test(key)) {
+        problems.push(`"${key}" is not an ISO2 code`);
+      }
+      if (!isObject(profile)) {
+        problems.push(`${key} must be an object`);
+        continue;
+      }
+      const unknown = Object.keys(profile).filter(
+        (k) => !PROFILE_KEYS.includes(k),
+      );
+      if (unknown.length > 0) {
+        problems.push(`${key} has unknown keys: ${unknown.join(', ')}`);
+      }
+      if (
+        profile.maxAdminLevel != null &&
+        !Number.isInteger(profile.maxAdminLevel)
+      ) {
+        problems.push(`${key}.maxAdminLevel must be an integer`);
+      }
+      if (profile.levels != null && !isObject(profile.levels)) {
+        problems.push(`${key}.levels must be an object keyed by admin_level`);
+        continue;
+      }
+
+      for (const [level, settings] of Object.entries(profile.levels || {})) {
+        if (!/^\d+$/.test(level)) {
+          problems.push(`${key}.levels.${level} is not an admin_level`);
+        }
+        if (!isObject(settings)) {
+          problems.push(`${key}.levels.${level} must be an object`);
+          continue;
+        }
+        const unknownSettings = Object.keys(settings).filter(
+          (k) => !PROFILE_LEVEL_KEYS.includes(k),
+        );
+        if (unknownSettings.length > 0) {
+          problems.push(
+            `${key}.levels.${level} has unknown keys: ${unknownSettings.join(', ')}`,
+          );
+        }
+        if (
+          settings.custom_level != null &&
+          !Number.isInteger(settings.custom_level)
+        ) {
+          problems.push(
+            `${key}.levels.${level}.custom_level must be an integer`,
+          );
+        }
+      }
+    }
+    if (problems.length > 0) throw new ConfigError(problems, file);
+    return profiles;
+  }
+
+  /**
+   * Profile for a country, falling back to `default` and then to the
+   * global ADMIN_LEVEL_METADATA and maxAdminLevel
+   */
+  forCountry(iso2) {
+    return new LevelProfile(
+      this.profiles[iso2?.toUpperCase()] || this.profiles.default || {},
+      this.config.processing.maxAdminLevel,
+      this.config.processing.levelCap,
+    );
+  }
+}
+
+class LevelProfile {
+  constructor(profile, maxAdminLevel, levelCap = null) {
+    this.levels = profile.levels || {};
+    const max = profile.maxAdminLevel ?? maxAdminLevel;
+    this.maxAdminLevel = levelCap == null ? max : Math.min(max, levelCap);
+  }
+
+  levelName(level) {
+    return (
+      this.levels[level]?.name ||
+      ADMIN_LEVEL_METADATA[level]?.name ||
+      `Level ${level}`
+    );
+  }
+
+  imports(level) {
+    return level <= this.maxAdminLevel && this.levels[level]?.import !== false;
+  }
+
+  /**
+   * Imported levels below `level`, shallowest first
+   */
+  levelsBelow(level) {
+    const levels = [];
+    for (let l = level + 1; l <= this.maxAdminLevel; l++) {
+      if (this.imports(l)) levels.push(l);
+    }
+    return levels;
+  }
+
+  /**
+   * Mapped custom_level of an admin_level, or `fallback` (one below the
+   * parent) when the profile does not map it
+   */
+  customLevel(level, fallback) {
+    return this.levels[level]?.custom_level ?? fallback;
+  }
+}
+
+// ============================================================================
+// REIMPORT POLICY - When an imported country is due again
+// ============================================================================
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class ReimportPolicy {
+  constructor(config, profiles = new LevelProfiles(config)) {
+    this.config = config;
+    this.profiles = profiles;
+  }
+
+  /**
+   * Why a processed country should be imported again (null if it is current)
+   */
+  dueReason(job) {
+    const { maxAgeDays, onMaxLevelRaised } = this.config.processing.reimport;
+
+    if (maxAgeDays != null) {
+      const lastSuccess = this.lastSuccess(job);
+      if (!lastSuccess) return 'no recorded import time';
+      const ageDays = (Date.now() - lastSuccess.getTime()) / DAY_MS;
+      if (ageDays >= maxAgeDays) {
+        return `last imported ${Math.floor(ageDays)} days ago`;
+      }
+    }
+
+    const configured = this.profiles.forCountry(job?.iso2).maxAdminLevel;
+    if (
+      onMaxLevelRaised &&
+      job?.max_admin_level != null &&
+      job.max_admin_level < configured
+    ) {
+      return `imported up to level ${job.max_admin_level}, now ${configured}`;
+    }
+    return null;
+  }
+
+  /**
+   * Time of the last successful import (jobs from before this metadata was
+   * recorded only have completed_at)
+   */
+  lastSuccess(job) {
+    const value = job?.last_success_at || job?.completed_at;
+    return value ? new Date(value) : null;
+  }
+}
+
+// ============================================================================
+// ITERATIVE PROCESSOR - Level-by-level processing
+// ============================================================================
+
+class IterativeProcessor {
+  constructor(config, db, osm, profiles = new LevelProfiles(config)) {
+    this.config = config;
+    this.db = db;
+    this.osm = osm;
+    this.geometry = new GeometryBuilder();
+    this.codeTagPatterns = config.processing.codeTags.map(tagKeyPattern);
+    this.profiles = profiles;
+    this.profile = profiles.forCountry(null); // Level profile of the current country
+    this.policy = new ReimportPolicy(config, profiles);
+    this.adjacency = new AdjacencyBuilder(config, db, osm);
+    this.processedBoundaries = new Map(); // Track all processed boundaries
+    this.failedParents = []; // Parents whose child query failed this run
+    this.writeBuffer = new Map(); // osm_id -> pending bulk write
+    this.updateMode = false; // Only rewrite boundaries whose source changed
+    this.seenBoundaries = new Set(); // osm_ids present in OSM this update run
+    this.changes = null; // Per-country change summary in update mode
+    this.runId = null; // Staging run of the current country (atomicSwap)
+    this.claims = new Map(); // osm_id -> parents claiming it this level pass
+    this.shapes = new WeakMap(); // OSM element -> shape, for parent ranking
+    this.pathSegments = new Map(); // parent _id -> path segment -> osm_id
+
+    // Deepest-ancestor placement is purely spatial and never reads subareas
+    const { levelStrategy, hierarchyStrategy } = config.processing;
+    if (
+      levelStrategy === 'deepest-ancestor' &&
+      hierarchyStrategy !== 'spatial'
+    ) {
+      throw new Error(
+        `levelStrategy 'deepest-ancestor' needs hierarchyStrategy 'spatial' (got '${hierarchyStrategy}')`,
+      );
+    }
+  }
+
+  /**
+   * Process country iteratively, level by level
+   */
+  async processCountry(country, forceReprocess = false, updateMode = false) {
+    console.log(`\n${'='.repeat(80)}`);
+    console.log(`📍 Processing: ${country.name} (${country.iso2 || 'N/A'})`);
+    console.log(`${'='.repeat(80)}`);
+
+    const countryId = country.countryId || country._id;
+    this.profile = this.profiles.forCountry(country.iso2);
+    const stats = {
+      name: country.name,
+      iso2: country.iso2,
+      boundaries: 0,
+      relationships: 0,
+      levelStats: {},
+      errors: [],
+      warnings: [], // Failed optional passes; the import itself is complete
+      skipped: false,
+      resumed: false,
+      startTime: Date.now(),
+    };
+
+    try {
+      // Check if country has already been processed
+      const isProcessed = await this.db.isCountryProcessed(countryId);
+      const reimportReason =
+        isProcessed && !forceReprocess && !updateMode
+          ? this.policy.dueReason(await this.db.getImportJob(countryId))
+          : null;
+
+      if (isProcessed && !forceReprocess && !updateMode && !reimportReason) {
+        const existingStats = await this.db.getCountryStats(countryId);
+        console.log(`⏭️  Skipping ${country.name} - already processed`);
+        console.log(`   Existing boundaries: ${existingStats.total}`);
+
+        if (
+          existingStats.levelStats &&
+          Object.keys(existingStats.levelStats).length > 0
+        ) {
+          console.log(`   By level:`);
+          Object.entries(existingStats.levelStats)
+            .sort(([a], [b]) => parseInt(a) - parseInt(b))
+            .forEach(([level, count]) => {
+              const name = this.profile.levelName(level);
+              console.log(`     - ${name} (${level}): ${count}`);
+            });
+        }
+
+        stats.skipped = true;
+        stats.boundaries = existingStats.total;
+        stats.levelStats = existingStats.levelStats;
+        return stats;
+      }
+
+      if (reimportReason) {
+        console.log(`♻️  Re-importing ${country.name}: ${reimportReason}`);
+        if (this.config.processing.reimport.mode === 'force') {
+          forceReprocess = true;
+        } else {
+          updateMode = true;
+        }
+      }
+
+      if (isProcessed && updateMode) {
+        console.log(
+          `🔁 Updating ${country.name} (only changed boundaries are rewritten)`,
+        );
+      } else if (isProcessed && forceReprocess) {
+        console.log(
+          `🔄 Force reprocessing ${country.name} (existing data will be updated)`,
+        );
+      }
+
+      // Clear processed boundaries for new country
+      this.processedBoundaries.clear();
+      this.writeBuffer.clear();
+      this.claims.clear();
+      this.failedParents = [];
+      this.updateMode = updateMode;
+      this.runId = null;
+      this.seenBoundaries.clear();
+      this.pathSegments.clear();
+      this.changes = updateMode
+        ? { added: 0, modified: 0, reparented: 0, removed: 0, unchanged: 0 }
+        : null;
+      stats.changes = this.changes;
+
+      // An update always walks the whole tree so deletions can be detected
+      const job =
+        forceReprocess || updateMode
+          ? null
+          : await this.db.getImportJob(countryId);
+      if (job && job.frontier && job.frontier.length > 0) {
+        // Resume an interrupted or failed run from its last checkpoint
+        console.log(
+          `⏯️  Resuming ${country.name} (${job.status}) - ${job.frontier.length} boundaries left to expand`,
+        );
+        stats.resumed = true;
+        // Jobs checkpointed before staging existed keep writing directly
+        this.runId = job.staging_run || null;
+        await this.db.saveImportJob(countryId, {
+          status: 'in_progress',
+          error: null,
+        });
+
+        const frontier = await this.restoreFrontier(job.frontier);
+        await this.processLevels(frontier, country, stats);
+      } else {
+        this.runId = this.config.processing.atomicSwap
+          ? `${countryId.split('/').pop()}-${Date.now().toString(36)}`
+          : null;
+        await this.db.saveImportJob(countryId, {
+          countryId,
+          iso2: country.iso2,
+          name: country.name,
+          status: 'in_progress',
+          frontier: [],
+          error: null,
+          started_at: new Date(),
+          staging_run: this.runId,
+        });
+        // Anything staged by earlier runs of this country is now abandoned
+        await this.db.cleanupStaging(countryId);
+
+        // Fetch country boundary first
+        const countryBoundary = await this.osm.fetchCountryBoundary(country);
+        if (!countryBoundary) {
+          stats.errors.push('Could not fetch country boundary');
+          await this.db.saveImportJob(countryId, {
+            status: 'failed',
+            error: 'Could not fetch country boundary',
+          });
+          return stats;
+        }
+
+        // Store country boundary
+        const countryDoc = await this.storeBoundary(
+          countryBoundary,
+          country,
+          null,
+          2,
+          0,
+        );
+        if (countryDoc) {
+          this.processedBoundaries.set(String(countryBoundary.id), countryDoc);
+          stats.boundaries++;
+          stats.levelStats[2] = 1;
+        }
+
+        // Start processing from the country level
+        const startingLevels = [
+          {
+            boundary: countryBoundary,
+            doc: countryDoc,
+            admin_level: 2,
+            custom_level: 0,
+          },
+        ];
+
+        await this.saveCheckpoint(country, startingLevels);
+        await this.processLevels(startingLevels, country, stats);
+      }
+
+      // Parents whose child queries failed stay on the frontier for next run
+      const complete = this.failedParents.length === 0;
+      if (complete) await this.publishRun(countryId, stats);
+      if (complete && this.config.processing.adjacency) {
+        await this.linkAdjacentBoundaries(countryId, stats);
+      }
+
+      await this.db.saveImportJob(countryId, {
+        status: complete ? 'complete' : 'failed',
+        ...(complete ? { staging_run: null } : {}),
+        frontier: this.failedParents.map((p) => this.toFrontierEntry(p)),
+        error: stats.errors.length > 0 ? stats.errors.join('; ') : null,
+        completed_at: complete ? new Date() : null,
+        ...(complete ? await this.importMetadata(countryId) : {}),
+      });
+    } catch (err) {
+      console.error(`❌ Error processing ${country.name}:`, err);
+      stats.errors.push(String(err.message || err));
+      // Keep the last checkpointed frontier so the next run can resume
+      await this.db.saveImportJob(countryId, {
+        status: 'failed',
+        error: String(err.message || err),
+      });
+    }
+
+    stats.duration = Date.now() - stats.startTime;
+    stats.boundaries = this.processedBoundaries.size;
+
+    if (stats.resumed) {
+      // Only part of the tree was walked this run, report the stored totals
+      const totals = await this.db.getCountryStats(countryId);
+      stats.boundaries = totals.total;
+      stats.levelStats = totals.levelStats;
+    }
+
+    // Count relationships
+    const relationships = await this.countRelationships(country);
+    stats.relationships = relationships;
+
+    if (this.changes) {
+      const c = this.changes;
+      console.log(
+        `📝 Changes: ${c.added} added, ${c.modified} modified, ${c.reparented} re-parented, ${c.removed} removed, ${c.unchanged} unchanged`,
+      );
+    }
+
+    return stats;
+  }
+
+  /**
+   * Optional pass over the published country; a failure is a warning and
+   * leaves the import itself complete
+   */
+  async linkAdjacentBoundaries(countryId, stats) {
+    console.log('\n🧭 Linking adjacent boundaries...');
+    try {
+      stats.adjacencies = await this.adjacency.buildCountry(countryId);
+      console.log(`   ✓ ${stats.adjacencies} adjacent pairs`);
+    } catch (err) {
+      console.error(`   ✗ Adjacency pass failed: ${err.message}`);
+      stats.warnings.push(`Adjacency: ${err.message}`);
+    }
+  }
+
+  /**
+   * Per-country metadata recorded after a successful import, used by the
+   * re-import policy (last_success_at survives later failed runs)
+   */
+  async importMetadata(countryId) {
+    const { levelStats } = await this.db.getCountryStats(countryId);
+    const levels = Object.keys(levelStats).map(Number);
+    return {
+      last_success_at: new Date(),
+      osm_data_timestamp: this.osm.dataTimestamp || null,
+      max_admin_level: this.profile.maxAdminLevel,
+      max_level_reached: levels.length > 0 ? Math.max(...levels) : null,
+    };
+  }
+
+  /**
+   * Make a completed run visible: swap the staged run into the live
+   * collections (atomicSwap) and mark or remove boundaries no longer in OSM.
+   * The deletion check needs a complete, error-free walk in this process -
+   * anything missed because a query failed, or walked by an earlier
+   * interrupted run, would otherwise look deleted. It only covers the
+   * levels the country's profile imports, so levels left out by a lowered
+   * maxAdminLevel or `import: false` are kept.
+   */
+  async publishRun(countryId, stats) {
+    const canSweep = stats.errors.length === 0 && !stats.resumed;
+    const levels = [2, ...this.profile.levelsBelow(2)];
+    if (!canSweep && (this.runId || this.updateMode)) {
+      console.log('⚠️  Partial walk - skipping deleted boundary check');
+    }
+
+    const mode = this.config.processing.deletedBoundaries;
+    const seenOsmIds = canSweep ? [...this.seenBoundaries] : null;
+    let removed = 0;
+    if (this.runId) {
+      removed = await this.db.swapStagedCountry(countryId, this.runId, {
+        seenOsmIds,
+        mode,
+        levels,
+      });
+      console.log(`🔀 Published staged run ${this.runId}`);
+    } else if (this.updateMode && seenOsmIds) {
+      removed = await this.db.sweepDeletedBoundaries(
+        countryId,
+        seenOsmIds,
+        mode,
+        { levels },
+      );
+    }
+
+    if (this.changes) this.changes.removed = removed || 0;
+    if (removed > 0) {
+      console.log(
+        `🗑️  ${mode === 'remove' ? 'Removed' : 'Marked deleted'}: ${removed} boundaries no longer in OSM`,
+      );
+    }
+  }
+
+  /**
+   * Process levels iteratively (similar to Script 1's approach)
+   */
+  async processLevels(currentLevelBoundaries, country, stats) {
+    if (!currentLevelBoundaries || currentLevelBoundaries.length === 0) {
+      return;
+    }
+
+    const firstBoundary = currentLevelBoundaries[0];
+    const currentAdminLevel = firstBoundary.admin_level;
+    const currentCustomLevel = firstBoundary.custom_level;
+
+    console.log(
+      `\n📊 Processing ${currentLevelBoundaries.length} boundaries at admin_level=${currentAdminLevel}, custom_level=${currentCustomLevel}`,
+    );
+
+    // Process each boundary at current level
+    const nextLevelBoundaries = [];
+    this.claims.clear();
+
+    const { levelStrategy, hierarchyStrategy, batchLevelQueries } =
+      this.config.processing;
+
+    if (levelStrategy === 'deepest-ancestor') {
+      await this.expandSubtrees(currentLevelBoundaries, country, stats);
+    } else {
+      // Subarea links are queued first so they win over spatial matches
+      if (hierarchyStrategy !== 'spatial') {
+        await this.expandLevelSubareas(
+          currentLevelBoundaries,
+          country,
+          stats,
+          nextLevelBoundaries,
+        );
+      }
+
+      if (hierarchyStrategy !== 'subarea' && batchLevelQueries) {
+        await this.expandLevelBatched(
+          currentLevelBoundaries,
+          country,
+          stats,
+          nextLevelBoundaries,
+        );
+      } else if (hierarchyStrategy !== 'subarea') {
+        await this.expandLevelPerParent(
+          currentLevelBoundaries,
+          country,
+          stats,
+          nextLevelBoundaries,
+        );
+      }
+    }
+
+    await this.flushWrites(stats);
+    this.claims.clear();
+    const storedNextLevel = nextLevelBoundaries.filter((entry) => entry.doc);
+    await this.saveCheckpoint(country, storedNextLevel);
+
+    // Recursively process next level
+    if (storedNextLevel.length > 0) {
+      await this.processLevels(storedNextLevel, country, stats);
+    }
+  }
+
+  /**
+   * Attach the `subarea` members each parent declares as its children
+   */
+  async expandLevelSubareas(
+    currentLevelBoundaries,
+    country,
+    stats,
+    nextLevelBoundaries,
+  ) {
+    const parents = currentLevelBoundaries.filter(
+      (levelData) => this.profile.levelsBelow(levelData.admin_level).length > 0,
+    );
+    if (parents.length === 0) return;
+
+    console.log(
+      `   → Resolving subarea members of ${parents.length} parents...`,
+    );
+
+    let subareas;
+    try {
+      subareas = await this.fetchSubareaChildren(parents);
+    } catch (err) {
+      console.error(`      ✗ Failed to fetch subarea members: ${err.message}`);
+      stats.errors.push(`Subarea members: ${err.message}`);
+      this.failedParents.push(...parents);
+      return;
+    }
+
+    for (const levelData of parents) {
+      const children = subareas.get(levelData) || [];
+      const byLevel = new Map();
+      for (const child of children) {
+        const adminLevel = parseInt(child.tags.admin_level, 10);
+        if (!byLevel.has(adminLevel)) byLevel.set(adminLevel, []);
+        byLevel.get(adminLevel).push(child);
+      }
+
+      for (const [adminLevel, elements] of byLevel) {
+        const queued = await this.queueChildBoundaries(
+          elements,
+          country,
+          levelData,
+          adminLevel,
+          levelData.custom_level + 1,
+          stats,
+          'subarea',
+        );
+        nextLevelBoundaries.push(...queued);
+      }
+    }
+  }
+
+  /**
+   * Map each parent entry to its administrative `subarea` member relations
+   * below its own admin_level
+   */
+  async fetchSubareaChildren(parents) {
+    // Resumed frontier entries carry no member list
+    const withoutMembers = parents.filter(
+      (levelData) => !Array.isArray(levelData.boundary.members),
+    );
+    if (withoutMembers.length > 0) {
+      const elements = await this.osm.fetchRelationsById(
+        withoutMembers.map((levelData) => levelData.boundary.id),
+        'body',
+      );
+      for (const levelData of withoutMembers) {
+        const element = elements.find((e) => e.id === levelData.boundary.id);
+        levelData.boundary.members = element?.members || [];
+      }
+    }
+
+    const subareaIds = new Set();
+    for (const levelData of parents) {
+      for (const member of levelData.boundary.members) {
+        if (member.type === 'relation' && member.role === 'subarea') {
+          subareaIds.add(member.ref);
+        }
+      }
+    }
+
+    const elements =
+      subareaIds.size > 0
+        ? await this.osm.fetchRelationsById(
+            [...subareaIds],
+            needsMemberGeometry(this.config) ? 'meta geom' : 'meta',
+          )
+        : [];
+    const byId = new Map(elements.map((e) => [e.id, e]));
+
+    const children = new Map();
+    for (const levelData of parents) {
+      children.set(
+        levelData,
+        levelData.boundary.members
+          .filter((m) => m.type === 'relation' && m.role === 'subarea')
+          .map((m) => byId.get(m.ref))
+          .filter((element) => {
+            // Dangling refs are missing from the response
+            const level = parseInt(element?.tags?.admin_level, 10);
+            return (
+              element?.tags?.boundary === 'administrative' &&
+              level > levelData.admin_level &&
+              this.profile.imports(level)
+            );
+          }),
+      );
+    }
+    return children;
+  }
+
+  /**
+   * Fetch every lower level within each parent and attach each boundary to
+   * its deepest containing ancestor, so sparse intermediate levels leave no
+   * holes. The whole subtree is built here; nothing is left for a next level.
+   */
+  async expandSubtrees(currentLevelBoundaries, country, stats) {
+    for (const [index, levelData] of currentLevelBoundaries.entries()) {
+      const targetLevels = this.profile.levelsBelow(levelData.admin_level);
+      if (targetLevels.length === 0) continue;
+
+      const parentName = levelData.doc?.name || levelData.boundary.id;
+      const levels = [];
+      let failed = false;
+
+      for (const targetAdminLevel of targetLevels) {
+        try {
+          const elements = await this.osm.fetchNextLevel(
+            levelData.boundary,
+            targetAdminLevel,
+          );
+          if (elements.length > 0) {
+            levels.push({ adminLevel: targetAdminLevel, elements });
+          }
+        } catch (err) {
+          // A missing level would misplace everything below it,
+          // so nothing under this parent is stored
+          console.error(
+            `      ✗ Failed to query level ${targetAdminLevel} under ${parentName}: ${err.message}`,
+          );
+          stats.errors.push(
+            `Level ${targetAdminLevel} under ${parentName}: ${err.message}`,
+          );
+          this.failedParents.push(levelData);
+          failed = true;
+          break;
+        }
+      }
+
+      if (!failed) {
+        await this.attachToDeepestAncestors(levelData, levels, country, stats);
+      }
+
+      await this.saveCheckpoint(
+        country,
+        currentLevelBoundaries.slice(index + 1),
+      );
+    }
+  }
+
+  /**
+   * Place fetched levels top-down; each level is flushed before the next so
+   * ancestors have `_id`s when their descendants are queued
+   */
+  async attachToDeepestAncestors(root, levels, country, stats) {
+    const placed = []; // { entry, shape } of stored descendants of root
+
+    for (const { adminLevel, elements } of levels) {
+      const byParent = new Map();
+
+      for (const element of elements) {
+        const shape = this.geometry.fromRelation(element);
+        const ancestor = (shape && this.findDeepestAncestor(shape, placed)) || {
+          entry: root,
+        };
+        if (!byParent.has(ancestor.entry)) byParent.set(ancestor.entry, []);
+        byParent.get(ancestor.entry).push({ element, shape });
+      }
+
+      const queuedLevel = [];
+      for (const [parentEntry, children] of byParent) {
+        const queued = await this.queueChildBoundaries(
+          children.map((c) => c.element),
+          country,
+          parentEntry,
+          adminLevel,
+          parentEntry.custom_level + 1,
+          stats,
+        );
+        for (const entry of queued) {
+          const child = children.find((c) => c.element === entry.boundary);
+          queuedLevel.push({ entry, shape: child.shape });
+        }
+      }
+
+      await this.flushWrites(stats);
+      placed.push(...queuedLevel.filter((p) => p.entry.doc && p.shape));
+    }
+  }
+
+  /**
+   * Deepest (then smallest) placed boundary that contains the shape
+   */
+  findDeepestAncestor(shape, placed) {
+    let best = null;
+    for (const candidate of placed) {
+      if (!this.geometry.isWithin(shape, candidate.shape)) continue;
+      if (
+        !best ||
+        candidate.entry.admin_level > best.entry.admin_level ||
+        (candidate.entry.admin_level === best.entry.admin_level &&
+          candidate.shape.area_km2 < best.shape.area_km2)
+      ) {
+        best = candidate;
+      }
+    }
+    return best;
+  }
+
+  /**
+   * One Overpass query per parent and candidate target level
+   */
+  async expandLevelPerParent(
+    currentLevelBoundaries,
+    country,
+    stats,
+    nextLevelBoundaries,
+  ) {
+    for (const [index, levelData] of currentLevelBoundaries.entries()) {
+      const targetLevels = this.profile.levelsBelow(levelData.admin_level);
+      if (targetLevels.length === 0) {
+        console.log(
+          `   ⚠️ Skipping - reached max admin level (${this.profile.maxAdminLevel})`,
+        );
+        continue;
+      }
+
+      // A resumed frontier can mix levels, so use each entry's own level
+      const childCustomLevel = levelData.custom_level + 1;
+
+      // Try to fetch next levels (similar to Script 1's logic)
+      for (const targetAdminLevel of targetLevels) {
+        let childBoundaries;
+        try {
+          childBoundaries = await this.osm.fetchNextLevel(
+            levelData.boundary,
+            targetAdminLevel,
+          );
+        } catch (err) {
+          // A failed query is not an empty level - don't search past it
+          const parentName = levelData.doc?.name || levelData.boundary.id;
+          console.error(
+            `      ✗ Failed to query level ${targetAdminLevel} under ${parentName}: ${err.message}`,
+          );
+          stats.errors.push(
+            `Level ${targetAdminLevel} under ${parentName}: ${err.message}`,
+          );
+          this.failedParents.push(levelData);
+          break;
+        }
+
+        if (childBoundaries && childBoundaries.length > 0) {
+          // Queue these boundaries with proper parent relationship and
+          // add them to the next level processing queue
+          const queued = await this.queueChildBoundaries(
+            childBoundaries,
+            country,
+            levelData,
+            targetAdminLevel,
+            childCustomLevel,
+            stats,
+          );
+          nextLevelBoundaries.push(...queued);
+
+          // Found boundaries at this level, stop searching higher levels
+          break;
+        }
+      }
+
+      if ((index + 1) % this.config.processing.checkpointInterval === 0) {
+        // Checkpointed children must exist in the DB to be resumable
+        await this.flushWrites(stats);
+        await this.saveCheckpoint(
+          country,
+          currentLevelBoundaries
+            .slice(index + 1)
+            .concat(nextLevelBoundaries.filter((entry) => entry.doc)),
+        );
+      }
+    }
+  }
+
+  /**
+   * Query many parents of a level together, one target level at a time.
+   * Parents without children at the target level move on to the next
+   * one, exactly like the per-parent search.
+   */
+  async expandLevelBatched(
+    currentLevelBoundaries,
+    country,
+    stats,
+    nextLevelBoundaries,
+  ) {
+    const chunkSize = this.config.osm.parentsPerQuery;
+    const nextTarget = (level) => this.profile.levelsBelow(level)[0];
+    let searching = currentLevelBoundaries
+      .map((levelData) => ({
+        levelData,
+        target: nextTarget(levelData.admin_level),
+      }))
+      .filter((s) => s.target !== undefined);
+
+    while (searching.length > 0) {
+      const target = Math.min(...searching.map((s) => s.target));
+      const group = searching.filter((s) => s.target === target);
+      const others = searching.filter((s) => s.target !== target);
+      const notFound = [];
+
+      for (let i = 0; i < group.length; i += chunkSize) {
+        const chunk = group.slice(i, i + chunkSize);
+
+        let results;
+        try {
+          results = await this.osm.fetchNextLevelBatch(
+            chunk.map((s) => s.levelData.boundary),
+            target,
+          );
+        } catch (err) {
+          // A failed query is not an empty level - don't search past it
+          console.error(
+            `      ✗ Failed to query level ${target} for ${chunk.length} parents: ${err.message}`,
+          );
+          stats.errors.push(
+            `Level ${target} for ${chunk.length} parents: ${err.message}`,
+          );
+          this.failedParents.push(...chunk.map((s) => s.levelData));
+          continue;
+        }
+
+        for (const { levelData } of chunk) {
+          const childBoundaries =
+            results.get(String(levelData.boundary.id)) || [];
+
+          if (childBoundaries.length > 0) {
+            const queued = await this.queueChildBoundaries(
+              childBoundaries,
+              country,
+              levelData,
+              target,
+              levelData.custom_level + 1,
+              stats,
+            );
+            nextLevelBoundaries.push(...queued);
+          } else if (nextTarget(target) !== undefined) {
+            notFound.push({ levelData, target: nextTarget(target) });
+          }
+        }
+
+        // Checkpointed children must exist in the DB to be resumable
+        await this.flushWrites(stats);
+        await this.saveCheckpoint(
+          country,
+          group
+            .slice(i + chunkSize)
+            .concat(others, notFound)
+            .map((s) => s.levelData)
+            .concat(nextLevelBoundaries.filter((entry) => entry.doc)),
+        );
+      }
+
+      searching = others.concat(notFound);
+    }
+  }
+
+  /**
+   * Persist the boundaries whose children still need fetching
+   * (plus any parents that failed earlier in this run)
+   */
+  async saveCheckpoint(country, pending) {
+    await this.db.saveImportJob(country.countryId || country._id, {
+      frontier: pending
+        .concat(this.failedParents)
+        .map((levelData) => this.toFrontierEntry(levelData)),
+    });
+  }
+
+  toFrontierEntry(levelData) {
+    return {
+      osm_id: String(levelData.boundary.id),
+      admin_level: levelData.admin_level,
+      custom_level: levelData.custom_level,
+    };
+  }
+
+  /**
+   * Rebuild processLevels entries from a stored frontier
+   */
+  async restoreFrontier(frontier) {
+    const docs = await this.db.getBoundariesByOsmId(
+      frontier.map((entry) => entry.osm_id),
+      this.runId,
+    );
+
+    return frontier.map((entry) => {
+      const doc = docs.get(entry.osm_id) || null;
+      if (doc) this.processedBoundaries.set(entry.osm_id, doc);
+      return {
+        boundary: {
+          type: 'relation',
+          id: Number(entry.osm_id),
+          bbox: doc?.bbox,
+        },
+        doc,
+        admin_level: entry.admin_level,
+        custom_level: entry.custom_level,
+      };
+    });
+  }
+
+  /**
+   * Store a single boundary
+   */
+  async storeBoundary(osmElement, country, parentDoc, adminLevel, customLevel) {
+    const osmId = String(osmElement.id);
+
+    // Check if already processed
+    if (this.processedBoundaries.has(osmId)) {
+      return this.processedBoundaries.get(osmId);
+    }
+
+    const doc = this.buildBoundaryDoc(
+      osmElement,
+      country,
+      parentDoc,
+      adminLevel,
+      customLevel,
+    );
+
+    const {
+      saved: [savedDoc],
+    } = await this.writeBoundaries([
+      {
+        doc,
+        parentId: parentDoc?._id || null,
+        parentOsmId: parentDoc?.osm_id || null,
+        method: 'spatial',
+      },
+    ]);
+
+    return savedDoc;
+  }
+
+  /**
+   * Upsert boundary docs and the edges to their parents. In update mode,
+   * boundaries whose OSM version, parent and level are unchanged are left
+   * as stored. Returns the stored docs in input order and the number of
+   * edges written; a failed write throws.
+   */
+  async writeBoundaries(pending) {
+    const saved = new Array(pending.length).fill(null);
+    const writes = [];
+    const reparented = new Set();
+    const moved = new Set(); // Stored under another path before this write
+    // Rewrites under a better parent are not counted as changes again
+    const firstSeen = pending.map(
+      (p) => !this.seenBoundaries.has(p.doc.osm_id),
+    );
+    for (const p of pending) this.seenBoundaries.add(p.doc.osm_id);
+
+    if (this.updateMode) {
+      const existing = await this.db.getBoundariesByOsmId(
+        pending.map((p) => p.doc.osm_id),
+        this.runId,
+      );
+      pending.forEach((p, i) => {
+        const old = existing.get(p.doc.osm_id);
+        const change = this.diffBoundary(old, p.doc, p.parentOsmId);
+
+        for (const key of ['added', 'modified', 'reparented']) {
+          if (change[key] && firstSeen[i]) this.changes[key]++;
+        }
+        if (change.reparented) reparented.add(i);
+        if (old?.path && change.repathed) moved.add(i);
+        if (old?.deleted) {
+          // Reappeared after being flagged by an earlier update
+          p.doc.deleted = false;
+          p.doc.deleted_at = null;
+        }
+
+        if (
+          !change.added &&
+          !change.modified &&
+          !change.reparented &&
+          firstSeen[i]
+        ) {
+          this.changes.unchanged++;
+        }
+        // A level or path shift follows an ancestor moving and a new
+        // resolution records a changed set of candidate parents; all of
+        // them still need a write
+        if (Object.values(change).some(Boolean)) writes.push(i);
+        else saved[i] = old;
+      });
+    } else {
+      pending.forEach((p, i) => writes.push(i));
+    }
+
+    const written = await this.db.upsertBoundaries(
+      writes.map((i) => pending[i].doc),
+      this.runId,
+    );
+    writes.forEach((i, n) => {
+      saved[i] = written[n];
+    });
+
+    const edges = [];
+    const staleLinks = [];
+    writes.forEach((i) => {
+      const p = pending[i];
+      if (!p.parentId) return;
+      if (reparented.has(i) || p.replacesParent) {
+        staleLinks.push({ child: saved[i]._id, parent: p.parentId });
+      }
+      edges.push({
+        _from: p.parentId,
+        _to: saved[i]._id,
+        method: p.method,
+        ...(p.doc.deleted === false ? { deleted: false } : {}),
+      });
+    });
+
+    // Live edges from former parents of a staged run go when it is swapped in
+    await this.db.removeStaleParentEdges(staleLinks, this.runId);
+    await this.db.upsertEdges(edges, this.runId);
+
+    // Descendants not walked again would keep the old path; a staged run
+    // refreshes them when it is swapped in
+    if (!this.runId && moved.size > 0) {
+      await this.db.refreshDescendantPaths(
+        [...moved].map((i) => saved[i]?._id).filter(Boolean),
+      );
+    }
+    return { saved, edgeCount: edges.length };
+  }
+
+  /**
+   * Compare a freshly built doc against its stored version. A doc without
+   * an OSM version (source without metadata) always counts as modified.
+   * Parents are compared by osm_id: a staged run links children to the
+   * staged copy of a rewritten parent, whose _id differs from the live one.
+   */
+  diffBoundary(old, doc, parentOsmId = null) {
+    if (!old || old.deleted) return { added: true };
+    return {
+      // Moving a border way's nodes leaves the relation's version alone.
+      // Also rewrite docs stored before names were collected, or whose
+      // display name follows a changed language chain.
+      modified:
+        doc.osm_version == null ||
+        old.osm_version !== doc.osm_version ||
+        (doc.member_hash != null && old.member_hash !== doc.member_hash) ||
+        old.names === undefined ||
+        old.name !== doc.name,
+      reparented: (old.parent_osm_id || null) !== parentOsmId,
+      relevelled:
+        old.custom_level !== doc.custom_level ||
+        old.admin_level !== doc.admin_level,
+      repathed: old.path !== doc.path || old.depth !== doc.depth,
+      resolved:
+        JSON.stringify(old.parent_resolution ?? null) !==
+        JSON.stringify(doc.parent_resolution),
+    };
+  }
+
+  /**
+   * Hash of the relation's way members with their geometry when fetched,
+   * so edits to border ways show up as changes (null without members)
+   */
+  memberHash(osmElement) {
+    const ways = (osmElement.members || []).filter((m) => m.type === 'way');
+    if (ways.length === 0) return null;
+    return require('crypto')
+      .createHash('sha256')
+      .update(
+        JSON.stringify(
+          ways.map((m) => [
+            m.ref,
+            m.role,
+            (m.geometry || []).map((p) => p && [p.lon, p.lat]),
+          ]),
+        ),
+      )
+      .digest('hex');
+  }
+
+  buildBoundaryDoc(osmElement, country, parentDoc, adminLevel, customLevel) {
+    const name = this.displayName(osmElement.tags, adminLevel);
+
+    // Only present when geometry was fetched and rings could be assembled,
+    // so an update never wipes a previously stored shape
+    const shape = this.config.processing.fetchGeometry
+      ? this.geometry.fromRelation(osmElement)
+      : null;
+
+    return {
+      osm_id: String(osmElement.id),
+      osm_type: osmElement.type || 'relation',
+      name: name,
+      name_en: osmElement.tags?.['name:en'] || null,
+      official_name:
+        osmElement.tags?.official_name || osmElement.tags?.name || null,
+      names: this.extractNames(osmElement.tags),
+      codes: this.extractCodes(osmElement.tags),
+      admin_level: adminLevel,
+      custom_level: customLevel,
+      level_name: this.profile.levelName(adminLevel),
+      iso_code:
+        osmElement.tags?.['ISO3166-2'] ||
+        osmElement.tags?.['iso3166-2'] ||
+        null,
+      wikidata: osmElement.tags?.wikidata || null,
+      wikipedia: osmElement.tags?.wikipedia || null,
+      population: this.parsePopulation(osmElement.tags?.population),
+      border_type: osmElement.tags?.border_type || null,
+      countryId: country.countryId || country._id,
+      parent_id: parentDoc?._id || null,
+      ...this.ancestry(osmElement, country, parentDoc, adminLevel),
+      parent_resolution: null, // Set when several parents claimed it
+      osm_version: osmElement.version ?? null,
+      osm_timestamp: osmElement.timestamp || null,
+      member_hash: this.memberHash(osmElement),
+      tags: this.extractRelevantTags(osmElement.tags),
+      ...(shape || {}),
+      created_at: new Date(),
+      updated_at: new Date(),
+    };
+  }
+
+  /**
+   * Buffer child boundaries for the bulk write path. Returns next-level
+   * entries whose `doc` is filled in when the buffer is flushed. A child
+   * already claimed by another parent in this level pass is not queued
+   * again; all its parents are ranked and it is rewritten under the best.
+   */
+  async queueChildBoundaries(
+    osmElements,
+    country,
+    parent,
+    adminLevel,
+    customLevel,
+    stats,
+    method = 'spatial',
+  ) {
+    const queued = [];
+
+    for (const element of osmElements) {
+      const osmId = String(element.id);
+      const claim = this.claims.get(osmId);
+      if (claim) {
+        if (!claim.parents.some((c) => c.parent === parent)) {
+          claim.parents.push({ parent, method });
+          this.resolveClaim(claim, country);
+        }
+        continue;
+      }
+      // Stored before this pass (an upper level or a resumed run)
+      if (this.processedBoundaries.has(osmId)) continue;
+
+      const entry = {
+        boundary: element,
+        doc: null,
+        admin_level: adminLevel,
+        custom_level: this.profile.customLevel(adminLevel, customLevel),
+      };
+      this.claims.set(osmId, { entry, parents: [{ parent, method }] });
+      this.writeBuffer.set(osmId, {
+        entry,
+        parentId: parent?.doc?._id || null,
+        parentOsmId: parent?.doc?.osm_id || null,
+        method,
+        doc: this.buildBoundaryDoc(
+          element,
+          country,
+          parent?.doc,
+          adminLevel,
+          entry.custom_level,
+        ),
+      });
+      queued.push(entry);
+    }
+
+    console.log(
+      `      → Queued ${queued.length} boundaries at level ${adminLevel}`,
+    );
+
+    if (this.writeBuffer.size >= this.config.processing.batchSize) {
+      await this.flushWrites(stats);
+    }
+    return queued;
+  }
+
+  /**
+   * Rank every parent that claimed a child and (re)buffer the child under
+   * the winner, recording the candidates on the doc. If the child was
+   * already flushed, the rewrite drops its edge from the former parent.
+   */
+  resolveClaim(claim, country) {
+    const { entry } = claim;
+    const ranked = claim.parents
+      .map((claimant) => ({
+        ...claimant,
+        evidence: this.parentEvidence(entry.boundary, claimant),
+      }))
+      .sort((a, b) => this.compareEvidence(a.evidence, b.evidence));
+    const winner = ranked[0];
+
+    entry.custom_level = this.profile.customLevel(
+      entry.admin_level,
+      winner.parent.custom_level + 1,
+    );
+    const doc = this.buildBoundaryDoc(
+      entry.boundary,
+      country,
+      winner.parent.doc,
+      entry.admin_level,
+      entry.custom_level,
+    );
+    doc.parent_resolution = this.describeResolution(ranked);
+
+    this.writeBuffer.set(doc.osm_id, {
+      entry,
+      parentId: winner.parent.doc?._id || null,
+      parentOsmId: winner.parent.doc?.osm_id || null,
+      method: winner.method,
+      doc,
+      replacesParent: true,
+    });
+  }
+
+  /**
+   * How strongly a claimant parent is supported as the child's parent
+   */
+  parentEvidence(element, { parent, method }) {
+    const parentElement = parent.boundary || {};
+    const subarea =
+      method === 'subarea' ||
+      (parentElement.members || []).some(
+        (m) =>
+          m.type === 'relation' && m.ref === element.id && m.role === 'subarea',
+      );
+
+    const childShape = this.shapeOf(element);
+    const parentShape = this.shapeOf(parentElement);
+    const overlap =
+      childShape && parentShape
+        ? this.geometry.overlapFraction(childShape, parentShape)
+        : null;
+
+    return {
+      parent_id: parent.doc?._id || null,
+      osm_id: String(parentElement.id),
+      name: parent.doc?.name || null,
+      admin_level: parent.admin_level,
+      subarea,
+      tag_match: this.tagsPointTo(element, parentElement, parent.doc),
+      overlap: overlap === null ? null : Math.round(overlap * 100) / 100,
+    };
+  }
+
+  /**
+   * Whether the child's ISO 3166-2 code extends the parent's, or one of its
+   * is_in / is_in:* tags names the parent
+   */
+  tagsPointTo(element, parentElement, parentDoc) {
+    const tags = element.tags || {};
+    const parentTags = parentElement.tags || {};
+    const parentCode = parentTags['ISO3166-2'] || parentDoc?.iso_code;
+    if (parentCode && tags['ISO3166-2']?.startsWith(`${parentCode}-`)) {
+      return true;
+    }
+
+    const parentNames = new Set(
+      [
+        ...Object.values(parentDoc?.names?.name || {}),
+        parentTags.name,
+        parentTags['name:en'],
+        parentDoc?.name,
+        parentCode,
+      ]
+        .filter(Boolean)
+        .map((name) => name.toLowerCase()),
+    );
+    return Object.entries(tags).some(
+      ([key, value]) =>
+        (key === 'is_in' || key.startsWith('is_in:')) &&
+        value
+          .split(/[;,]/)
+          .some((name) => parentNames.has(name.trim().toLowerCase())),
+    );
+  }
+
+  /**
+   * Order claimants best first: subarea membership, matching tags, larger
+   * overlap, deeper parent, then lower osm_id so the result never depends
+   * on traversal order
+   */
+  compareEvidence(a, b) {
+    if (a.subarea !== b.subarea) return a.subarea ? -1 : 1;
+    if (a.tag_match !== b.tag_match) return a.tag_match ? -1 : 1;
+    if ((a.overlap ?? -1) !== (b.overlap ?? -1)) {
+      return (b.overlap ?? -1) - (a.overlap ?? -1);
+    }
+    if (a.admin_level !== b.admin_level) return b.admin_level - a.admin_level;
+    return Number(a.osm_id) - Number(b.osm_id);
+  }
 
-    try {
-      const response = await this.fetchWithRetry(this.config.osm.overpassUrl, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
-        body: `data=${encodeURIComponent(query)}`,
-      });
+  /**
+   * Which rule picked the winner, and whether the choice needs review: it
+   * came down to osm_id, won by a slim overlap lead, or beat a candidate
+   * covering clearly more of the child on membership or tags alone
+   */
+  describeResolution(ranked) {
+    const candidates = ranked.map((claimant) => claimant.evidence);
+    const [best, next] = candidates;
+    const margin = this.config.processing.parentOverlapMargin;
+    const resolvedBy =
+      best.subarea !== next.subarea
+        ? 'subarea'
+        : best.tag_match !== next.tag_match
+          ? 'tags'
+          : (best.overlap ?? -1) !== (next.overlap ?? -1)
+            ? 'overlap'
+            : best.admin_level !== next.admin_level
+              ? 'admin_level'
+              : 'osm_id';
 
-      const data = await response.json();
-      if (data && data.elements && data.elements.length > 0) {
-        console.log(
-          `✅ Found country boundary: ${
-            data.elements[0].tags?.name || country.name
-          }`,
-        );
-        return data.elements[0];
-      }
-    } catch (err) {
-      console.error(`❌ Failed to fetch country boundary: ${err.message}`);
+    return {
+      resolved_by: resolvedBy,
+      ambiguous:
+        resolvedBy === 'osm_id' ||
+        (resolvedBy === 'overlap' &&
+          best.overlap - (next.overlap ?? 0) < margin) ||
+        candidates.some(
+          (other) => (other.overlap ?? 0) - (best.overlap ?? 0) >= margin,
+        ),
+      candidates,
+    };
+  }
+
+  /**
+   * Shape of an element with member geometry (cached per element)
+   */
+  shapeOf(element) {
+    if (!this.shapes.has(element)) {
+      this.shapes.set(element, this.geometry.fromRelation(element));
     }
-    return null;
+    return this.shapes.get(element);
   }
 
   /**
-   * Fetch next administrative level using geographic containment (like Script 1)
+   * Bulk-upsert buffered boundaries, then the edges to their parents
    */
-  async fetchNextLevel(parentBoundary, targetAdminLevel) {
-    const parentOsmId =
-      parentBoundary.osm_id || parentBoundary.rel_id || parentBoundary.id;
+  async flushWrites(stats) {
+    if (this.writeBuffer.size === 0) return;
+
+    const pending = [...this.writeBuffer.values()];
+    this.writeBuffer.clear();
+
+    const { saved: savedDocs, edgeCount } = await this.writeBoundaries(pending);
+
+    pending.forEach((p, i) => {
+      const savedDoc = savedDocs[i];
+      // A rewrite under a better parent is not a new boundary
+      if (!p.entry.doc) {
+        stats.levelStats[p.entry.admin_level] =
+          (stats.levelStats[p.entry.admin_level] || 0) + 1;
+      }
+      p.entry.doc = savedDoc;
+      this.processedBoundaries.set(savedDoc.osm_id, savedDoc);
+    });
 
     console.log(
-      `   → Searching for admin_level=${targetAdminLevel} within rel(${parentOsmId})...`,
+      `      💾 Stored ${savedDocs.length} boundaries and ${edgeCount} edges`,
     );
+  }
 
-    const query = `
-[out:json][timeout:${Math.floor(this.config.osm.timeout / 1000)}];
-rel(${parentOsmId});
-map_to_area -> .parentArea;
-(
-  rel(area.parentArea)["admin_level"="${targetAdminLevel}"]["boundary"="administrative"];
-);
-out body;
-    `;
+  parsePopulation(value) {
+    if (!value) return null;
+    const parsed = parseInt(String(value).replace(/[^\d]/g, ''), 10);
+    return isNaN(parsed) ? null : parsed;
+  }
 
-    try {
-      const response = await this.fetchWithRetry(this.config.osm.overpassUrl, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
-        body: `data=${encodeURIComponent(query)}`,
-      });
+  /**
+   * Materialized position in the hierarchy: ancestor `_id`s from the
+   * country down, depth, and a path of ISO 3166 codes or local names
+   * (`US/CA/Los Angeles County`). A sibling whose segment is already taken
+   * this run gets its osm_id appended (`US/MO/Springfield~123`), so paths
+   * stay unique.
+   */
+  ancestry(osmElement, country, parentDoc, adminLevel) {
+    const tags = osmElement.tags || {};
+    const osmId = String(osmElement.id);
+    const isoCode = tags['ISO3166-2'] || tags['iso3166-2'];
+    const code = parentDoc
+      ? isoCode?.split('-').slice(1).join('-')
+      : country.iso2 || tags['ISO3166-1'];
+    let segment = (
+      code ||
+      tags.name ||
+      this.displayName(tags, adminLevel)
+    ).replace(/\//g, '-');
 
-      const data = await response.json();
-      if (data && data.elements) {
-        const uniqueElements = this.removeDuplicates(data.elements);
-        if (uniqueElements.length > 0) {
-          console.log(
-            `      ✓ Found ${uniqueElements.length} boundaries at level ${targetAdminLevel}`,
-          );
-        }
-        return uniqueElements;
-      }
-    } catch (err) {
-      console.error(
-        `      ✗ Failed to query level ${targetAdminLevel}: ${err.message}`,
-      );
+    const parentKey = parentDoc?._id || null;
+    if (!this.pathSegments.has(parentKey)) {
+      this.pathSegments.set(parentKey, new Map());
     }
-    return [];
+    const siblings = this.pathSegments.get(parentKey);
+    const owner = siblings.get(segment);
+    if (owner === undefined) siblings.set(segment, osmId);
+    else if (owner !== osmId) segment = `${segment}~${osmId}`;
+
+    const ancestorIds = parentDoc
+      ? [...(parentDoc.ancestor_ids || []), parentDoc._id]
+      : [];
+    return {
+      ancestor_ids: ancestorIds,
+      depth: ancestorIds.length,
+      path: parentDoc?.path ? `${parentDoc.path}/${segment}` : segment,
+    };
   }
 
-  removeDuplicates(elements) {
-    const unique = {};
-    elements.forEach((e) => {
-      if (!unique[e.id]) {
-        unique[e.id] = e;
+  /**
+   * First `name:<lang>` of the configured language chain, then the local
+   * name, official name or a placeholder
+   */
+  displayName(tags, adminLevel) {
+    for (const language of this.config.processing.nameLanguages) {
+      if (tags?.[`name:${language}`]) return tags[`name:${language}`];
+    }
+    return tags?.name || tags?.official_name || `Unnamed Level ${adminLevel}`;
+  }
+
+  /**
+   * Name tags grouped by kind and keyed by language, with `default` for
+   * the untagged value: { name: { default: 'München', en: 'Munich' } }
+   */
+  extractNames(tags) {
+    const names = {};
+    for (const [key, value] of Object.entries(tags || {})) {
+      const [kind, language, ...rest] = key.split(':');
+      if (!NAME_TAG_KEYS.includes(kind) || rest.length > 0) continue;
+      if (language !== undefined && !LANGUAGE_PATTERN.test(language)) continue;
+      if (!names[kind]) names[kind] = {};
+      names[kind][language ?? 'default'] = value;
+    }
+    return names;
+  }
+
+  /**
+   * Reference and code tags matching `processing.codeTags`, by tag key
+   */
+  extractCodes(tags) {
+    const codes = {};
+    for (const [key, value] of Object.entries(tags || {})) {
+      if (this.codeTagPatterns.some((pattern) => pattern.test(key))) {
+        codes[key] = value;
       }
-    });
-    return Object.values(unique);
+    }
+    return codes;
+  }
+
+  extractRelevantTags(tags) {
+    if (!tags) return null;
+    const relevant = {};
+    const keepTags = [
+      'name',
+      'name:en',
+      'official_name',
+      'type',
+      'designation',
+      'border_type',
+    ];
+    for (const tag of keepTags) {
+      if (tags[tag]) relevant[tag] = tags[tag];
+    }
+    return Object.keys(relevant).length > 0 ? relevant : null;
+  }
+
+  async countRelationships(country) {
+    const cursor = await this.db.db.query(aql`
+      FOR b IN ${this.db.collections[Config.collections.ADMIN_BOUNDARIES]}
+      FILTER b.countryId == ${country.countryId || country._id}
+      FILTER b.parent_id != null AND b.deleted != true
+      RETURN 1
+    `);
+    const results = await cursor.all();
+    return results.length;
   }
 }
 
 // ============================================================================
-// ITERATIVE PROCESSOR - Level-by-level processing
+// ADJACENCY BUILDER - Neighbouring boundaries from shared member ways
 // ============================================================================
 
-class IterativeProcessor {
+class AdjacencyBuilder {
   constructor(config, db, osm) {
     this.config = config;
     this.db = db;
     this.osm = osm;
-    this.processedBoundaries = new Map(); // Track all processed boundaries
+    this.geometry = new GeometryBuilder();
   }
 
   /**
-   * Process country iteratively, level by level
+   * Link every pair of same-level boundaries that share a member way, within
+   * the country and with stored neighbours across its border. Member way ids
+   * are kept on each boundary (`border_way_ids`) so countries imported later
+   * can find this one. Returns the number of adjacency edges.
    */
-  async processCountry(country, forceReprocess = false) {
-    console.log(`\n${'='.repeat(80)}`);
-    console.log(`📍 Processing: ${country.name} (${country.iso2 || 'N/A'})`);
-    console.log(`${'='.repeat(80)}`);
-
-    const stats = {
-      name: country.name,
-      iso2: country.iso2,
-      boundaries: 0,
-      relationships: 0,
-      levelStats: {},
-      errors: [],
-      skipped: false,
-      startTime: Date.now(),
-    };
+  async buildCountry(countryId) {
+    const boundaries = await this.db.getCountryBoundaryIds(countryId);
+    if (boundaries.length === 0) return 0;
 
-    try {
-      // Check if country has already been processed
-      const isProcessed = await this.db.isCountryProcessed(
-        country.countryId || country._id,
-      );
+    // Member lists only; geometry is fetched for shared ways alone
+    const relations = await this.osm.fetchRelationsById(
+      boundaries.map((b) => b.osm_id),
+      'skel',
+    );
+    const waysByOsmId = new Map(
+      relations.map((rel) => [
+        String(rel.id),
+        [
+          ...new Set(
+            (rel.members || [])
+              .filter((m) => m.type === 'way')
+              .map((m) => m.ref),
+          ),
+        ],
+      ]),
+    );
+    await this.db.setBorderWays(
+      boundaries.map((b) => ({
+        _id: b._id,
+        way_ids: waysByOsmId.get(b.osm_id) || [],
+      })),
+    );
 
-      if (
-        isProcessed &&
-        !forceReprocess &&
-        this.config.processing.skipProcessedCountries
-      ) {
-        const existingStats = await this.db.getCountryStats(
-          country.countryId || country._id,
-        );
-        console.log(`⏭️  Skipping ${country.name} - already processed`);
-        console.log(`   Existing boundaries: ${existingStats.total}`);
+    const pairs = await this.db.findSharedBorders(countryId);
+    const wayIds = [...new Set(pairs.flatMap((pair) => pair.way_ids))];
+    const lengths = new Map();
+    for (const way of await this.osm.fetchWaysById(wayIds)) {
+      const coords = (way.geometry || [])
+        .filter(Boolean)
+        .map((p) => [p.lon, p.lat]);
+      lengths.set(way.id, this.geometry.lineLength(coords));
+    }
 
-        if (
-          existingStats.levelStats &&
-          Object.keys(existingStats.levelStats).length > 0
-        ) {
-          console.log(`   By level:`);
-          Object.entries(existingStats.levelStats)
-            .sort(([a], [b]) => parseInt(a) - parseInt(b))
-            .forEach(([level, count]) => {
-              const name =
-                ADMIN_LEVEL_METADATA[level]?.name || `Level ${level}`;
-              console.log(`     - ${name} (${level}): ${count}`);
-            });
-        }
+    const edges = pairs.map((pair) => {
+      const meters = pair.way_ids.reduce(
+        (sum, id) => sum + (lengths.get(id) || 0),
+        0,
+      );
+      return {
+        _from: pair.from,
+        _to: pair.to,
+        relationship: 'adjacent_to',
+        admin_level: pair.admin_level,
+        shared_ways: pair.way_ids.length,
+        border_length_km: Math.round(meters / 10) / 100,
+        border_type: pair.international ? 'international' : 'internal',
+      };
+    });
+    await this.db.replaceAdjacency(countryId, edges);
+    return edges.length;
+  }
+}
 
-        stats.skipped = true;
-        stats.boundaries = existingStats.total;
-        stats.levelStats = existingStats.levelStats;
-        return stats;
-      }
+// ============================================================================
+// HIERARCHY VERIFIER - Consistency checks on imported data (no Overpass)
+// ============================================================================
 
-      if (isProcessed && forceReprocess) {
-        console.log(
-          `🔄 Force reprocessing ${country.name} (existing data will be updated)`,
-        );
-      }
+const UNNAMED_PATTERN = /^Unnamed Level \d+$/;
 
-      // Clear processed boundaries for new country
-      this.processedBoundaries.clear();
+// Boundary fields the checks need
+const VERIFY_FIELDS = [
+  '_id',
+  'osm_id',
+  'name',
+  'admin_level',
+  'parent_id',
+  'countryId',
+];
 
-      // Fetch country boundary first
-      const countryBoundary = await this.osm.fetchCountryBoundary(country);
-      if (!countryBoundary) {
-        stats.errors.push('Could not fetch country boundary');
-        return stats;
-      }
+class HierarchyVerifier {
+  constructor(config, db) {
+    this.config = config;
+    this.db = db;
+  }
 
-      // Store country boundary
-      const countryDoc = await this.storeBoundary(
-        countryBoundary,
-        country,
-        null,
-        2,
-        0,
-      );
-      if (countryDoc) {
-        this.processedBoundaries.set(String(countryBoundary.id), countryDoc);
-        stats.boundaries++;
-        stats.levelStats[2] = 1;
-      }
+  /**
+   * Check one country's boundaries and parent edges. With `repair`, the safe
+   * cases are fixed and the country is checked again:
+   * - a missing parent_id -> child edge is created
+   * - edges from anything but the child's parent_id are removed
+   * - an orphan with exactly one edge from an existing parent is relinked
+   */
+  async verifyCountry(countryId, { repair = false } = {}) {
+    const { docs, edges, known } = await this.load(countryId);
+    const issues = this.findIssues(docs, edges, known);
 
-      // Start processing from the country level
-      const startingLevels = [
-        {
-          boundary: countryBoundary,
-          doc: countryDoc,
-          admin_level: 2,
-          custom_level: 0,
-        },
-      ];
+    const report = {
+      countryId,
+      boundaries: docs.length,
+      edges: edges.length,
+      issue_count: this.countIssues(issues),
+      issues,
+    };
 
-      await this.processLevels(startingLevels, country, stats);
-    } catch (err) {
-      console.error(`❌ Error processing ${country.name}:`, err);
-      stats.errors.push(String(err.message || err));
+    if (repair && report.issue_count > 0) {
+      report.repairs = await this.repair(issues);
+      const after = await this.load(countryId);
+      const remaining = this.findIssues(after.docs, after.edges, after.known);
+      report.remaining_issue_count = this.countIssues(remaining);
     }
+    return report;
+  }
 
-    stats.duration = Date.now() - stats.startTime;
-    stats.boundaries = this.processedBoundaries.size;
-
-    // Count relationships
-    const relationships = await this.countRelationships(country);
-    stats.relationships = relationships;
-
-    return stats;
+  countIssues(issues) {
+    return Object.values(issues).reduce((n, list) => n + list.length, 0);
   }
 
   /**
-   * Process levels iteratively (similar to Script 1's approach)
+   * A country's live boundaries and the edges into them. `known` also holds
+   * parents and ancestors outside the country, so only parent_ids that
+   * resolve nowhere count as orphans.
    */
-  async processLevels(currentLevelBoundaries, country, stats) {
-    if (!currentLevelBoundaries || currentLevelBoundaries.length === 0) {
-      return;
-    }
-
-    const firstBoundary = currentLevelBoundaries[0];
-    const currentAdminLevel = firstBoundary.admin_level;
-    const currentCustomLevel = firstBoundary.custom_level;
+  async load(countryId) {
+    const boundariesCol =
+      this.db.collections[Config.collections.ADMIN_BOUNDARIES];
+    const edgesCol =
+      this.db.collections[Config.collections.ADMIN_BOUNDARY_EDGES];
 
-    console.log(
-      `\n📊 Processing ${currentLevelBoundaries.length} boundaries at admin_level=${currentAdminLevel}, custom_level=${currentCustomLevel}`,
-    );
+    const docs = await (
+      await this.db.db.query(aql`
+        FOR b IN ${boundariesCol}
+        FILTER b.countryId == ${countryId} AND b.deleted != true
+        RETURN KEEP(b, ${[...VERIFY_FIELDS, 'ancestor_ids']})
+      `)
+    ).all();
+    const edges = await (
+      await this.db.db.query(aql`
+        FOR b IN ${boundariesCol}
+        FILTER b.countryId == ${countryId} AND b.deleted != true
+        FOR e IN ${edgesCol}
+        FILTER e._to == b._id AND e.deleted != true
+        RETURN KEEP(e, '_id', '_from', '_to', 'method')
+      `)
+    ).all();
 
-    // Process each boundary at current level
-    const nextLevelBoundaries = [];
+    const known = new Map(docs.map((doc) => [doc._id, doc]));
+    const outside = [
+      ...new Set(
+        docs
+          .flatMap((doc) => [doc.parent_id, ...(doc.ancestor_ids || [])])
+          .concat(edges.map((edge) => edge._from))
+          .filter((id) => id && !known.has(id)),
+      ),
+    ];
+    if (outside.length > 0) {
+      const cursor = await this.db.db.query(aql`
+        FOR id IN ${outside}
+        LET p = DOCUMENT(id)
+        FILTER p != null AND p.deleted != true
+        RETURN KEEP(p, ${VERIFY_FIELDS})
+      `);
+      for (const doc of await cursor.all()) known.set(doc._id, doc);
+    }
+    return { docs, edges, known };
+  }
 
-    for (const levelData of currentLevelBoundaries) {
-      if (levelData.admin_level >= this.config.processing.maxAdminLevel) {
-        console.log(
-          `   ⚠️ Skipping - reached max admin level (${this.config.processing.maxAdminLevel})`,
-        );
-        continue;
-      }
+  findIssues(docs, edges, known) {
+    const issues = {
+      orphans: [],
+      missing_edges: [],
+      stray_edges: [],
+      multiple_parents: [],
+      level_order: [],
+      cycles: [],
+      cross_country: [],
+      unnamed: [],
+    };
+    const describe = (doc) => ({
+      _id: doc._id,
+      osm_id: doc.osm_id,
+      name: doc.name,
+      admin_level: doc.admin_level,
+    });
 
-      // Try to fetch next levels (similar to Script 1's logic)
-      for (
-        let targetAdminLevel = levelData.admin_level + 1;
-        targetAdminLevel <= this.config.processing.maxAdminLevel;
-        targetAdminLevel++
-      ) {
-        const childBoundaries = await this.osm.fetchNextLevel(
-          levelData.boundary,
-          targetAdminLevel,
-        );
+    const inbound = new Map(); // child _id -> edges
+    for (const edge of edges) {
+      if (!inbound.has(edge._to)) inbound.set(edge._to, []);
+      inbound.get(edge._to).push(edge);
+    }
 
-        if (childBoundaries && childBoundaries.length > 0) {
-          // Store these boundaries with proper parent relationship
-          const stored = await this.storeChildBoundaries(
-            childBoundaries,
-            country,
-            levelData.doc,
-            targetAdminLevel,
-            currentCustomLevel + 1,
-            stats,
-          );
+    for (const doc of docs) {
+      const parentEdges = inbound.get(doc._id) || [];
 
-          // Add to next level processing queue
-          for (const child of stored) {
-            nextLevelBoundaries.push({
-              boundary: child.osmData,
-              doc: child.doc,
-              admin_level: targetAdminLevel,
-              custom_level: currentCustomLevel + 1,
-            });
-          }
+      if (doc.parent_id && !known.has(doc.parent_id)) {
+        issues.orphans.push({
+          ...describe(doc),
+          parent_id: doc.parent_id,
+          edge_parents: parentEdges
+            .map((edge) => edge._from)
+            .filter((id) => known.has(id)),
+        });
+      } else if (
+        doc.parent_id &&
+        !parentEdges.some((edge) => edge._from === doc.parent_id)
+      ) {
+        issues.missing_edges.push({ _from: doc.parent_id, _to: doc._id });
+      }
 
-          // Found boundaries at this level, stop searching higher levels
-          break;
+      for (const edge of parentEdges) {
+        if (edge._from !== doc.parent_id) {
+          issues.stray_edges.push({ ...edge, parent_id: doc.parent_id });
         }
       }
+      if (parentEdges.length > 1) {
+        issues.multiple_parents.push({
+          ...describe(doc),
+          parents: parentEdges.map((edge) => edge._from),
+        });
+      }
+      if (UNNAMED_PATTERN.test(doc.name || '')) {
+        issues.unnamed.push(describe(doc));
+      }
 
-      // Add small delay between boundaries to avoid rate limits
-      await this.osm.sleep(this.config.osm.rateLimitDelay);
+      // A later import of another country took over a shared ancestor
+      const foreign = [doc.parent_id, ...(doc.ancestor_ids || [])]
+        .map((id) => known.get(id))
+        .filter((other) => other && other.countryId !== doc.countryId);
+      if (foreign.length > 0) {
+        issues.cross_country.push({
+          ...describe(doc),
+          countries: [...new Set(foreign.map((other) => other.countryId))],
+          ancestors: [...new Set(foreign.map((other) => other._id))],
+        });
+      }
     }
 
-    // Recursively process next level
-    if (nextLevelBoundaries.length > 0) {
-      await this.processLevels(nextLevelBoundaries, country, stats);
+    for (const edge of edges) {
+      const parent = known.get(edge._from);
+      const child = known.get(edge._to);
+      if (parent && child && child.admin_level <= parent.admin_level) {
+        issues.level_order.push({
+          ...edge,
+          parent_level: parent.admin_level,
+          child_level: child.admin_level,
+        });
+      }
     }
+
+    issues.cycles = this.findCycles(docs, known);
+    return issues;
   }
 
   /**
-   * Store a single boundary
+   * parent_id loops, each as the list of _ids on the loop
    */
-  async storeBoundary(osmElement, country, parentDoc, adminLevel, customLevel) {
-    const osmId = String(osmElement.id);
+  findCycles(docs, known) {
+    const state = new Map(); // _id -> 'walking' | 'done'
+    const cycles = [];
 
-    // Check if already processed
-    if (this.processedBoundaries.has(osmId)) {
-      return this.processedBoundaries.get(osmId);
+    for (const doc of docs) {
+      const path = [];
+      let current = doc;
+      while (current && !state.has(current._id)) {
+        state.set(current._id, 'walking');
+        path.push(current._id);
+        current = current.parent_id ? known.get(current.parent_id) : null;
+      }
+      if (current && state.get(current._id) === 'walking') {
+        cycles.push(path.slice(path.indexOf(current._id)));
+      }
+      for (const id of path) state.set(id, 'done');
     }
+    return cycles;
+  }
 
-    const name =
-      osmElement.tags?.['name:en'] ||
-      osmElement.tags?.name ||
-      osmElement.tags?.official_name ||
-      `Unnamed Level ${adminLevel}`;
+  async repair(issues) {
+    const relinked = issues.orphans
+      .filter((orphan) => orphan.edge_parents.length === 1)
+      .map((orphan) => ({
+        _id: orphan._id,
+        parent_id: orphan.edge_parents[0],
+      }));
+    // An orphan's edges are only safe to judge once it has a parent again
+    const orphanIds = new Set(issues.orphans.map((orphan) => orphan._id));
+    const stray = issues.stray_edges.filter((edge) => !orphanIds.has(edge._to));
 
-    const doc = {
-      osm_id: osmId,
-      osm_type: osmElement.type || 'relation',
-      name: name,
-      name_en: osmElement.tags?.['name:en'] || null,
-      official_name:
-        osmElement.tags?.official_name || osmElement.tags?.name || null,
-      admin_level: adminLevel,
-      custom_level: customLevel,
-      level_name:
-        ADMIN_LEVEL_METADATA[adminLevel]?.name || `Level ${adminLevel}`,
-      iso_code:
-        osmElement.tags?.['ISO3166-2'] ||
-        osmElement.tags?.['iso3166-2'] ||
-        null,
-      wikidata: osmElement.tags?.wikidata || null,
-      wikipedia: osmElement.tags?.wikipedia || null,
-      population: this.parsePopulation(osmElement.tags?.population),
-      border_type: osmElement.tags?.border_type || null,
-      countryId: country.countryId || country._id,
-      parent_id: parentDoc?._id || null,
-      tags: this.extractRelevantTags(osmElement.tags),
-      created_at: new Date(),
-      updated_at: new Date(),
+    await this.db.setParentIds(relinked);
+    await this.db.upsertEdges(
+      issues.missing_edges.map((edge) => ({ ...edge, method: 'repair' })),
+    );
+    await this.db.removeEdgesById(stray.map((edge) => edge._id));
+
+    console.log(
+      `   🔧 Relinked ${relinked.length} orphans, created ${issues.missing_edges.length} edges, removed ${stray.length} stray edges`,
+    );
+    return {
+      relinked_orphans: relinked,
+      created_edges: issues.missing_edges,
+      removed_edges: stray.map((edge) => edge._id),
     };
+  }
+}
 
-    try {
-      const boundariesCol =
-        this.db.collections[Config.collections.ADMIN_BOUNDARIES];
+// ============================================================================
+// EXPORT - Country hierarchy as a JSON tree, CSV and GeoJSON
+// ============================================================================
 
-      // Check if exists
-      const existing = await this.db.db.query(aql`
-        FOR doc IN ${boundariesCol}
-        FILTER doc.osm_id == ${osmId}
-        RETURN doc
-      `);
-      const existingDoc = await existing.next();
-
-      let savedDoc;
-      if (existingDoc) {
-        // Update existing
-        await this.db.db.query(aql`
-          UPDATE ${existingDoc._key}
-          WITH ${doc}
-          IN ${boundariesCol}
-        `);
-        savedDoc = { ...existingDoc, ...doc };
-      } else {
-        // Insert new
-        const result = await boundariesCol.save(doc, { returnNew: true });
-        savedDoc = result.new || result;
-      }
+const EXPORT_FORMATS = {
+  tree: { extension: 'tree.json', geometry: false }, // Nested children arrays
+  csv: { extension: 'csv', geometry: false },
+  geojson: { extension: 'geojson', geometry: true }, // FeatureCollection
+  ndjson: { extension: 'ndjson', geometry: true }, // One GeoJSON Feature per line
+};
 
-      // Create edge if has parent
-      if (parentDoc && savedDoc) {
-        await this.createEdge(parentDoc._id, savedDoc._id);
-      }
+const EXPORT_CSV_COLUMNS = [
+  'osm_id',
+  'name',
+  'admin_level',
+  'parent_osm_id',
+  'iso_code',
+  'wikidata',
+];
 
-      return savedDoc;
-    } catch (err) {
-      console.error(`❌ Failed to store boundary ${name}: ${err.message}`);
-      return null;
+// Fields that only mean something inside the database
+const EXPORT_INTERNAL_FIELDS = [
+  '_id',
+  '_key',
+  '_rev',
+  'countryId',
+  'parent_id',
+  'ancestor_ids',
+  'border_way_ids',
+  'member_hash',
+];
+
+/**
+ * Output file written through a temporary name, so readers never see a
+ * half-written export; writes wait for the stream to drain. A stream error
+ * (ENOSPC, EACCES) rejects the pending and every later write or close.
+ */
+class ExportFile {
+  constructor(file) {
+    this.fs = require('fs');
+    this.file = file;
+    this.out = this.fs.createWriteStream(`${file}.tmp`);
+    this.closed = false;
+    this.error = null;
+    this.out.on('close', () => (this.closed = true));
+    this.out.on('error', (err) => (this.error = err));
+  }
+
+  async write(text) {
+    if (this.error) throw this.error;
+    // once() rejects when the stream errors while waiting
+    if (!this.out.write(text)) {
+      await require('events').once(this.out, 'drain');
+    }
+  }
+
+  async close() {
+    if (this.error) throw this.error;
+    this.out.end();
+    await require('events').once(this.out, 'finish');
+    await this.fs.promises.rename(`${this.file}.tmp`, this.file);
+  }
+
+  async discard() {
+    if (!this.closed) {
+      const closed = require('events').once(this.out, 'close');
+      this.out.destroy();
+      await closed.catch(() => {});
     }
+    await this.fs.promises.unlink(`${this.file}.tmp`).catch(() => {});
+  }
+}
+
+class CountryExporter {
+  constructor(config, db) {
+    this.config = config;
+    this.db = db;
   }
 
   /**
-   * Store multiple child boundaries
+   * Walk a country's hierarchy once and write every requested format to
+   * `<output>/<ISO2>.<extension>`. Boundaries stream from the database in
+   * batches, so memory use does not grow with the country. Returns the
+   * number of boundaries exported (no files are left when it is 0).
    */
-  async storeChildBoundaries(
-    osmElements,
+  async exportCountry(
     country,
-    parentDoc,
-    adminLevel,
-    customLevel,
-    stats,
+    { output, formats, minLevel = null, maxLevel = null },
   ) {
-    const stored = [];
-
-    console.log(
-      `      → Storing ${osmElements.length} boundaries at level ${adminLevel}...`,
-    );
+    const path = require('path');
+    const cursor = await this.db.streamCountryHierarchy(country.countryId, {
+      minLevel,
+      maxLevel,
+      geometry: formats.some((format) => EXPORT_FORMATS[format].geometry),
+    });
 
-    for (const element of osmElements) {
-      const doc = await this.storeBoundary(
-        element,
-        country,
-        parentDoc,
-        adminLevel,
-        customLevel,
-      );
-      if (doc) {
-        this.processedBoundaries.set(String(element.id), doc);
-        stored.push({ doc, osmData: element });
+    const writers = formats.map((format) => ({
+      file: new ExportFile(
+        path.join(
+          output,
+          `${country.iso2}.${EXPORT_FORMATS[format].extension}`,
+        ),
+      ),
+      ...this.writer(format, country),
+    }));
 
-        // Update stats
-        stats.levelStats[adminLevel] = (stats.levelStats[adminLevel] || 0) + 1;
+    let count = 0;
+    try {
+      for (const writer of writers) await writer.begin(writer.file);
+      for await (const row of cursor) {
+        for (const writer of writers) await writer.row(writer.file, row);
+        count++;
       }
+      for (const writer of writers) await writer.end(writer.file);
+    } catch (err) {
+      await Promise.all(writers.map((writer) => writer.file.discard()));
+      throw err;
     }
 
-    console.log(`      ✓ Stored ${stored.length} boundaries successfully`);
-    return stored;
+    if (count === 0) {
+      await Promise.all(writers.map((writer) => writer.file.discard()));
+      return count;
+    }
+    const closed = await Promise.allSettled(
+      writers.map((writer) => writer.file.close()),
+    );
+    const failed = closed.find((result) => result.status === 'rejected');
+    if (failed) {
+      await Promise.all(writers.map((writer) => writer.file.discard()));
+      throw failed.reason;
+    }
+    return count;
   }
 
-  /**
-   * Create edge between parent and child
-   */
-  async createEdge(fromId, toId) {
-    try {
-      const edgesCol =
-        this.db.collections[Config.collections.ADMIN_BOUNDARY_EDGES];
-
-      // Check if edge exists
-      const existing = await this.db.db.query(aql`
-        FOR e IN ${edgesCol}
-        FILTER e._from == ${fromId} AND e._to == ${toId}
-        RETURN e
-      `);
-
-      const existingEdge = await existing.next();
-      if (!existingEdge) {
-        await edgesCol.save({
-          _from: fromId,
-          _to: toId,
-          relationship: 'contains',
-          created_at: new Date(),
-        });
+  writer(format, country) {
+    switch (format) {
+      case 'tree':
+        return this.treeWriter(country);
+      case 'csv':
+        return {
+          begin: (file) => file.write(`${EXPORT_CSV_COLUMNS.join(',')}\n`),
+          row: (file, row) =>
+            file.write(
+              `${EXPORT_CSV_COLUMNS.map((column) =>
+                this.csvField(
+                  column === 'parent_osm_id'
+                    ? row.parent_osm_id
+                    : row.doc[column],
+                ),
+              ).join(',')}\n`,
+            ),
+          end: async () => {},
+        };
+      case 'geojson': {
+        let first = true;
+        return {
+          begin: (file) =>
+            file.write('{"type":"FeatureCollection","features":[\n'),
+          row: (file, row) => {
+            const text = `${first ? '' : ',\n'}${JSON.stringify(this.feature(row))}`;
+            first = false;
+            return file.write(text);
+          },
+          end: (file) => file.write('\n]}\n'),
+        };
       }
-    } catch (err) {
-      console.error(
-        `Failed to create edge ${fromId} -> ${toId}: ${err.message}`,
-      );
+      case 'ndjson':
+        return {
+          begin: async () => {},
+          row: (file, row) =>
+            file.write(`${JSON.stringify(this.feature(row))}\n`),
+          end: async () => {},
+        };
+      default:
+        throw new Error(`Unknown export format "${format}"`);
     }
   }
 
-  parsePopulation(value) {
-    if (!value) return null;
-    const parsed = parseInt(String(value).replace(/[^\d]/g, ''), 10);
-    return isNaN(parsed) ? null : parsed;
+  /**
+   * Nested tree written as rows arrive in depth-first order: each row
+   * closes the open nodes at its depth or deeper, then opens itself. Rows
+   * left out by the level range leave their descendants attached to the
+   * nearest exported ancestor.
+   */
+  treeWriter(country) {
+    const open = [{ depth: -1, first: true }];
+    const close = async (file, depth) => {
+      while (open[open.length - 1].depth >= depth) {
+        open.pop();
+        await file.write(']}');
+      }
+    };
+
+    return {
+      begin: (file) => {
+        const header = JSON.stringify({
+          iso2: country.iso2,
+          name: country.name,
+          exported_at: new Date(),
+        });
+        return file.write(`${header.slice(0, -1)},"children":[`);
+      },
+      row: async (file, { depth, doc }) => {
+        await close(file, depth);
+        const parent = open[open.length - 1];
+        const node = JSON.stringify({
+          osm_id: doc.osm_id,
+          name: doc.name,
+          admin_level: doc.admin_level,
+          level_name: doc.level_name,
+          iso_code: doc.iso_code,
+          wikidata: doc.wikidata,
+          path: doc.path,
+        });
+        await file.write(
+          `${parent.first ? '' : ','}\n${node.slice(0, -1)},"children":[`,
+        );
+        parent.first = false;
+        open.push({ depth, first: true });
+      },
+      end: async (file) => {
+        await close(file, 0);
+        await file.write('\n]}\n');
+      },
+    };
   }
 
-  extractRelevantTags(tags) {
-    if (!tags) return null;
-    const relevant = {};
-    const keepTags = [
-      'name',
-      'name:en',
-      'official_name',
-      'type',
-      'designation',
-      'border_type',
-    ];
-    for (const tag of keepTags) {
-      if (tags[tag]) relevant[tag] = tags[tag];
-    }
-    return Object.keys(relevant).length > 0 ? relevant : null;
+  feature({ doc, depth, parent_osm_id }) {
+    const { geometry, bbox, ...fields } = doc;
+    const properties = { ...fields, parent_osm_id, depth };
+    for (const field of EXPORT_INTERNAL_FIELDS) delete properties[field];
+    return {
+      type: 'Feature',
+      id: doc.osm_id,
+      ...(Array.isArray(bbox) ? { bbox } : {}),
+      geometry: geometry || null,
+      properties,
+    };
   }
 
-  async countRelationships(country) {
-    const cursor = await this.db.db.query(aql`
-      FOR b IN ${this.db.collections[Config.collections.ADMIN_BOUNDARIES]}
-      FILTER b.countryId == ${country.countryId || country._id}
-      FILTER b.parent_id != null
-      RETURN 1
-    `);
-    const results = await cursor.all();
-    return results.length;
+  csvField(value) {
+    if (value == null) return '';
+    const text = String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
   }
 }
 
@@ -771,6 +5719,8 @@ class BoundaryImporter {
     this.db = null;
     this.osm = null;
     this.processor = null;
+    this.profiles = null;
+    this.runKey = null; // importRuns document of this run
     this.statistics = {
       startTime: Date.now(),
       countries: [],
@@ -778,154 +5728,426 @@ class BoundaryImporter {
         boundaries: 0,
         relationships: 0,
         errors: 0,
+        warnings: 0,
         processed: 0,
         skipped: 0,
+        failed: 0,
       },
     };
   }
 
-  async initialize() {
+  /**
+   * Connect to the database and set up the processor; `source: false`
+   * leaves Overpass (or the extract) and staged runs untouched, for dry
+   * runs (the staging may belong to another process)
+   */
+  async initialize({ source = true } = {}) {
     console.log('🚀 Initializing Iterative Administrative Boundaries Importer');
     console.log('='.repeat(80));
     console.log('📝 Using level-by-level fetching with geographic containment');
+    const { maxAgeDays, onMaxLevelRaised } = Config.processing.reimport;
     console.log(
-      `📋 Skip processed countries: ${
-        Config.processing.skipProcessedCountries ? 'YES' : 'NO'
+      `📋 Re-import processed countries: ${
+        [
+          maxAgeDays != null && `older than ${maxAgeDays} days`,
+          onMaxLevelRaised && 'when maxAdminLevel is raised',
+        ]
+          .filter(Boolean)
+          .join(', ') || 'never'
       }`,
     );
     console.log('='.repeat(80));
 
     this.db = await new DatabaseService(Config).connect();
-    this.osm = await new OSMService(Config).initialize();
-    this.processor = new IterativeProcessor(Config, this.db, this.osm);
+    if (source) {
+      const abandoned = await this.db.cleanupStaging();
+      if (abandoned > 0) {
+        console.log(`🧹 Removed ${abandoned} abandoned staged boundaries`);
+      }
+      this.osm = await (
+        Config.source.type === 'file'
+          ? new OSMFileService(Config)
+          : new OSMService(Config)
+      ).initialize();
+    }
+    this.profiles = await new LevelProfiles(Config).load();
+    this.processor = new IterativeProcessor(
+      Config,
+      this.db,
+      this.osm,
+      this.profiles,
+    );
     return this;
   }
 
-  async fetchCountries(countryFilter = null) {
+  /**
+   * Countries matching `filter` entries (countryMetadata _id or _key, ISO2
+   * code or name), all countries when the filter is empty
+   */
+  async fetchCountries(filter = [], { force = false, update = false } = {}) {
     console.log('\n📊 Fetching countries to process...');
-    let query;
-
-    if (countryFilter && countryFilter.length > 0) {
-      // Check for special flags
-      const forceFlag = countryFilter.includes('--force');
-      const actualFilter = countryFilter.filter((f) => f !== '--force');
-
-      // Support both ISO2 codes and country IDs
-      const isCountryId = actualFilter.some((f) => f.includes('/'));
-      if (isCountryId) {
-        query = aql`
-          FOR country IN countryMetadata
-          FILTER country._id IN ${actualFilter}
-          RETURN { 
-            _key: country._key, 
-            name: country.name, 
-            iso2: country.iso2, 
-            countryId: country._id,
-            forceReprocess: ${forceFlag}
-          }
-        `;
-      } else {
-        query = aql`
-          FOR country IN countryMetadata
-          FILTER country.iso2 IN ${actualFilter} OR country.name IN ${actualFilter}
-          RETURN { 
-            _key: country._key, 
-            name: country.name, 
-            iso2: country.iso2, 
-            countryId: country._id,
-            forceReprocess: ${forceFlag}
-          }
-        `;
+    const countriesCol = this.db.db.collection(
+      Config.collections.COUNTRY_METADATA,
+    );
+    const cursor = await this.db.db.query(aql`
+      FOR country IN ${countriesCol}
+      LET matches = (
+        FOR f IN ${filter}
+        FILTER f IN [country._id, country._key, country.name] OR
+          UPPER(f) == country.iso2
+        RETURN f
+      )
+      FILTER LENGTH(${filter}) == 0 OR LENGTH(matches) > 0
+      RETURN {
+        _key: country._key,
+        name: country.name,
+        iso2: country.iso2,
+        countryId: country._id,
+        forceReprocess: ${force},
+        updateMode: ${update},
+        matches
       }
-    } else {
-      query = aql`
-        FOR country IN countryMetadata
-        RETURN { 
-          _key: country._key, 
-          name: country.name, 
-          iso2: country.iso2, 
-          countryId: country._id,
-          forceReprocess: false
-        }
-      `;
-    }
-
-    const cursor = await this.db.db.query(query);
+    `);
     const countries = await cursor.all();
+
+    const matched = new Set(countries.flatMap((c) => c.matches));
+    for (const f of filter) {
+      if (!matched.has(f)) console.log(`⚠️  No country matches "${f}"`);
+    }
     console.log(`✅ Found ${countries.length} countries to process`);
-    return countries;
+    return countries.map(({ matches, ...country }) => country);
   }
 
-  async run(countryFilter = null) {
+  /**
+   * Import the countries matching `filter` (all when empty). A dry run only
+   * reports what would be imported and why. Returns the number of countries
+   * whose import failed; fatal errors are thrown.
+   */
+  async run(
+    filter = [],
+    { force = false, update = false, dryRun = false, concurrency = 1 } = {},
+  ) {
     try {
-      await this.initialize();
-      const countries = await this.fetchCountries(countryFilter);
+      await this.initialize({ source: !dryRun });
+      const countries = await this.fetchCountries(filter, { force, update });
 
       if (countries.length === 0) {
         console.log('⚠️  No countries found to process');
-        return;
+        return 0;
       }
 
+      if (dryRun) {
+        await this.displayPlan(countries);
+        return 0;
+      }
+
+      this.runKey = await this.db.startImportRun({
+        command: {
+          filter,
+          force,
+          update,
+          concurrency,
+          daemon: Config.scheduler.daemon,
+        },
+        config: redactConfig(Config),
+      });
+      console.log(`🗂️  Recording as import run ${this.runKey}`);
+
       // Check how many countries are already processed
       let alreadyProcessed = 0;
       for (const country of countries) {
         const isProcessed = await this.db.isCountryProcessed(country.countryId);
-        if (isProcessed && !country.forceReprocess) {
+        const job = await this.db.getImportJob(country.countryId);
+        if (
+          isProcessed &&
+          !country.forceReprocess &&
+          !country.updateMode &&
+          !this.processor.policy.dueReason(job)
+        ) {
           alreadyProcessed++;
+        } else if (!job) {
+          await this.db.saveImportJob(country.countryId, {
+            countryId: country.countryId,
+            iso2: country.iso2,
+            name: country.name,
+            status: 'pending',
+          });
         }
       }
 
-      if (alreadyProcessed > 0) {
-        console.log(
-          `ℹ️  ${alreadyProcessed} countries already processed (will be skipped)`,
-        );
+      if (alreadyProcessed > 0) {
+        console.log(
+          `ℹ️  ${alreadyProcessed} countries already processed (will be skipped)`,
+        );
+        console.log(
+          `   Use --force flag to reprocess: node osm.js import US --force`,
+        );
+      }
+
+      if (Config.scheduler.daemon) {
+        await this.runScheduled(countries);
+      } else {
+        const queue = countries.filter((country) => {
+          if (!country.iso2) {
+            console.log(`⚠️  Skipping ${country.name} - no ISO2 code`);
+          }
+          return !!country.iso2;
+        });
+        await this.processAll(queue, concurrency);
+      }
+
+      this.displayFinalReport();
+      await this.finishRun('complete');
+      return this.statistics.totals.failed;
+    } catch (err) {
+      await this.finishRun('aborted', err);
+      throw err;
+    } finally {
+      await this.cleanup();
+    }
+  }
+
+  /**
+   * Close the run's importRuns document; a failure here is only logged so
+   * it never hides the run's own outcome
+   */
+  async finishRun(status, err = null) {
+    if (!this.runKey) return;
+    try {
+      await this.db.finishImportRun(this.runKey, {
+        status,
+        error: err ? String(err.message || err) : null,
+        totals: {
+          ...this.statistics.totals,
+          overpass_requests: this.osm?.requestCount ?? 0,
+        },
+      });
+    } catch (error) {
+      console.error(`⚠️  Could not record import run: ${error.message}`);
+    }
+  }
+
+  /**
+   * Process countries up to `concurrency` at a time. Each worker gets its
+   * own IterativeProcessor (it holds per-country state); the database
+   * connection and Overpass endpoint pool are shared.
+   */
+  async processAll(countries, concurrency = 1) {
+    const queue = [...countries];
+    const workers = Array.from(
+      { length: Math.min(concurrency, queue.length) },
+      (_, i) =>
+        i === 0
+          ? this.processor
+          : new IterativeProcessor(Config, this.db, this.osm, this.profiles),
+    );
+    if (workers.length > 1) {
+      console.log(`🧵 Importing with ${workers.length} workers`);
+    }
+
+    await Promise.all(
+      workers.map(async (processor) => {
+        while (queue.length > 0) {
+          await this.processAndRecord(queue.shift(), processor);
+        }
+      }),
+    );
+  }
+
+  async processAndRecord(country, processor = this.processor) {
+    const tally = { requests: 0 };
+    const result = await requestTally.run(tally, () =>
+      processor.processCountry(
+        country,
+        country.forceReprocess,
+        country.updateMode,
+      ),
+    );
+    result.overpassRequests = tally.requests;
+    this.statistics.countries.push(result);
+    await this.recordOutcome(country, result);
+
+    if (result.skipped) {
+      this.statistics.totals.skipped++;
+    } else {
+      this.statistics.totals.processed++;
+    }
+
+    this.statistics.totals.boundaries += result.boundaries;
+    this.statistics.totals.relationships += result.relationships;
+    if (result.errors.length > 0) {
+      this.statistics.totals.errors += result.errors.length;
+      this.statistics.totals.failed++;
+    }
+    this.statistics.totals.warnings += result.warnings?.length ?? 0;
+  }
+
+  /**
+   * Record a country's result in the run (importRunCountries). Level
+   * counts are the stored totals afterwards, so runs compare what readers
+   * actually see.
+   */
+  async recordOutcome(country, result) {
+    if (!this.runKey) return;
+    let outcome = 'processed';
+    if (result.skipped) outcome = 'skipped';
+    else if (result.errors.length > 0) outcome = 'failed';
+    else if (result.warnings?.length > 0) outcome = 'partial';
+
+    const { levelStats } = result.skipped
+      ? result
+      : await this.db.getCountryStats(country.countryId);
+    const entry = {
+      countryId: country.countryId,
+      iso2: country.iso2,
+      name: country.name,
+      outcome,
+      levels: levelStats,
+      boundaries: Object.values(levelStats).reduce((n, c) => n + c, 0),
+      changes: result.changes || null,
+      errors: result.errors,
+      warnings: result.warnings || [],
+      duration_ms: result.duration ?? 0,
+      overpass_requests: result.overpassRequests,
+      finished_at: new Date(),
+    };
+
+    try {
+      await this.db.recordImportRunCountry(this.runKey, entry);
+    } catch (err) {
+      console.error(
+        `⚠️  Could not record ${country.name} in import run: ${err.message}`,
+      );
+    }
+  }
+
+  /**
+   * What a run would do with each country, without fetching anything
+   */
+  async displayPlan(countries) {
+    console.log('\n📋 Dry run - nothing is fetched or written');
+    for (const country of countries) {
+      const { action, reason } = await this.planCountry(country);
+      const levels = this.profiles.forCountry(country.iso2).maxAdminLevel;
+      console.log(
+        `   ${action === 'skip' ? '⏭️ ' : '▶️ '} ${country.name} (${
+          country.iso2 || 'N/A'
+        }): ${action}${
+          action === 'skip' ? '' : ` up to level ${levels}`
+        } - ${reason}`,
+      );
+    }
+  }
+
+  /**
+   * The decision processCountry would make for a country
+   * (action: import | resume | update | force | skip)
+   */
+  async planCountry(country) {
+    if (!country.iso2) return { action: 'skip', reason: 'no ISO2 code' };
+
+    const job = await this.db.getImportJob(country.countryId);
+    if (country.forceReprocess) {
+      return { action: 'force', reason: '--force' };
+    }
+    if (await this.db.isCountryProcessed(country.countryId)) {
+      if (country.updateMode) return { action: 'update', reason: '--update' };
+      const due = this.processor.policy.dueReason(job);
+      return due
+        ? { action: Config.processing.reimport.mode, reason: due }
+        : { action: 'skip', reason: 'already processed' };
+    }
+    if (job?.frontier?.length > 0) {
+      return {
+        action: 'resume',
+        reason: `${job.status}, ${job.frontier.length} boundaries left to expand`,
+      };
+    }
+    return { action: 'import', reason: job ? job.status : 'never imported' };
+  }
+
+  /**
+   * Work through due countries, stalest first, until the runtime or request
+   * budget is used up. A country already started always finishes (or
+   * checkpoints). Without any budget this keeps polling indefinitely.
+   */
+  async runScheduled(countries) {
+    const { maxRuntimeMs, maxRequests, pollIntervalMs } = Config.scheduler;
+    const startedAt = Date.now();
+    const withinBudget = () =>
+      (maxRuntimeMs == null || Date.now() - startedAt < maxRuntimeMs) &&
+      (maxRequests == null || this.osm.requestCount < maxRequests);
+
+    console.log(
+      `\n🕒 Scheduled mode - runtime budget: ${
+        maxRuntimeMs == null ? 'none' : `${Math.round(maxRuntimeMs / 1000)}s`
+      }, request budget: ${maxRequests ?? 'none'}`,
+    );
+
+    while (withinBudget()) {
+      const due = await this.dueCountries(countries);
+      if (due.length === 0) {
+        const wait =
+          maxRuntimeMs == null
+            ? pollIntervalMs
+            : Math.min(pollIntervalMs, maxRuntimeMs - (Date.now() - startedAt));
         console.log(
-          `   Use --force flag to reprocess: node script.js US --force`,
+          `😴 No countries due, checking again in ${Math.round(wait / 1000)}s`,
         );
+        await new Promise((res) => setTimeout(res, wait));
+        continue;
       }
 
-      for (const country of countries) {
-        if (!country.iso2) {
-          console.log(`⚠️  Skipping ${country.name} - no ISO2 code`);
-          continue;
-        }
-
-        const result = await this.processor.processCountry(
-          country,
-          country.forceReprocess,
-        );
-        this.statistics.countries.push(result);
+      console.log(`📋 ${due.length} countries due`);
+      for (const country of due) {
+        if (!withinBudget()) break;
+        await this.processAndRecord(country);
+      }
+    }
 
-        if (result.skipped) {
-          this.statistics.totals.skipped++;
-        } else {
-          this.statistics.totals.processed++;
-        }
+    console.log(
+      `⏹️  Budget used up after ${Math.round(
+        (Date.now() - startedAt) / 1000,
+      )}s and ${this.osm.requestCount} Overpass requests`,
+    );
+  }
 
-        this.statistics.totals.boundaries += result.boundaries;
-        this.statistics.totals.relationships += result.relationships;
-        if (result.errors.length > 0) {
-          this.statistics.totals.errors += result.errors.length;
-        }
+  /**
+   * Countries needing work: never imported, unfinished, or processed but
+   * due under the re-import policy. Sorted by last successful import, never
+   * imported first. Failed countries wait pollIntervalMs before a retry, and
+   * so do countries just imported, so `maxAgeDays: 0` can't re-import in a
+   * tight loop.
+   */
+  async dueCountries(countries) {
+    const { pollIntervalMs } = Config.scheduler;
+    const due = [];
+    for (const country of countries) {
+      if (!country.iso2) continue;
 
-        // Pause between countries to avoid rate limits (but not for skipped countries)
+      const job = await this.db.getImportJob(country.countryId);
+      const isProcessed = await this.db.isCountryProcessed(country.countryId);
+      if (isProcessed) {
+        if (!this.processor.policy.dueReason(job)) continue;
+        const lastSuccess = this.processor.policy.lastSuccess(job);
         if (
-          !result.skipped &&
-          countries.indexOf(country) < countries.length - 1
+          lastSuccess &&
+          Date.now() - lastSuccess.getTime() < pollIntervalMs
         ) {
-          console.log(
-            '\n⏳ Waiting before next country (rate limit protection)...',
-          );
-          await new Promise((r) => setTimeout(r, 3000));
+          continue;
         }
+      } else if (
+        job?.status === 'failed' &&
+        Date.now() - new Date(job.updated_at).getTime() < pollIntervalMs
+      ) {
+        continue;
       }
 
-      this.displayFinalReport();
-    } catch (err) {
-      console.error('💥 Fatal error:', err);
-    } finally {
-      await this.cleanup();
+      const lastSuccess = this.processor.policy.lastSuccess(job);
+      due.push({ country, since: lastSuccess ? lastSuccess.getTime() : 0 });
     }
+
+    return due.sort((a, b) => a.since - b.since).map((d) => d.country);
   }
 
   displayFinalReport() {
@@ -938,11 +6160,20 @@ class BoundaryImporter {
     console.log(`   Countries checked: ${this.statistics.countries.length}`);
     console.log(`   Countries processed: ${this.statistics.totals.processed}`);
     console.log(`   Countries skipped: ${this.statistics.totals.skipped}`);
+    console.log(`   Countries failed: ${this.statistics.totals.failed}`);
     console.log(`   Total boundaries: ${this.statistics.totals.boundaries}`);
     console.log(
       `   Total relationships: ${this.statistics.totals.relationships}`,
     );
     console.log(`   Total errors: ${this.statistics.totals.errors}`);
+    if (this.statistics.totals.warnings > 0) {
+      console.log(`   Total warnings: ${this.statistics.totals.warnings}`);
+    }
+    if (this.osm?.cache?.enabled) {
+      console.log(
+        `   Cache (${this.osm.cache.mode}): ${this.osm.cache.hits} hits, ${this.osm.cache.misses} misses`,
+      );
+    }
     console.log(`   Duration: ${Math.floor(duration / 60)}m ${duration % 60}s`);
 
     // Separate processed and skipped countries
@@ -956,22 +6187,33 @@ class BoundaryImporter {
         console.log(`\n   ${c.name} (${c.iso2 || 'N/A'}):`);
         console.log(`     • Boundaries: ${c.boundaries}`);
         console.log(`     • Relationships: ${c.relationships}`);
+        if (c.adjacencies != null) {
+          console.log(`     • Adjacent pairs: ${c.adjacencies}`);
+        }
 
         if (c.levelStats && Object.keys(c.levelStats).length > 0) {
           console.log(`     • By level:`);
           Object.entries(c.levelStats)
             .sort(([a], [b]) => parseInt(a) - parseInt(b))
             .forEach(([level, count]) => {
-              const name =
-                ADMIN_LEVEL_METADATA[level]?.name || `Level ${level}`;
+              const name = this.profiles.forCountry(c.iso2).levelName(level);
               console.log(`        - ${name} (${level}): ${count}`);
             });
         }
 
+        if (c.changes) {
+          console.log(
+            `     • Changes: ${c.changes.added} added, ${c.changes.modified} modified, ${c.changes.reparented} re-parented, ${c.changes.removed} removed`,
+          );
+        }
+
         console.log(`     • Time: ${time}s`);
         if (c.errors && c.errors.length) {
           console.log(`     • Errors: ${c.errors.join('; ')}`);
         }
+        if (c.warnings && c.warnings.length) {
+          console.log(`     • Warnings: ${c.warnings.join('; ')}`);
+        }
       }
     }
 
@@ -985,6 +6227,288 @@ class BoundaryImporter {
     }
   }
 
+  /**
+   * Check imported countries against the integrity rules and print a
+   * summary, writing the full JSON report to `reportPath` when given; no
+   * Overpass requests are made. Returns the number of issues left (after
+   * repair, when requested).
+   */
+  async verify(filter = [], { repair = false, reportPath = null } = {}) {
+    try {
+      this.db = await new DatabaseService(Config).connect();
+      const countries = await this.fetchCountries(filter);
+      const verifier = new HierarchyVerifier(Config, this.db);
+      const reports = [];
+
+      for (const country of countries) {
+        const report = await verifier.verifyCountry(country.countryId, {
+          repair,
+        });
+        if (report.boundaries === 0) continue; // Never imported
+
+        reports.push({ name: country.name, iso2: country.iso2, ...report });
+        console.log(
+          `\n🔎 ${country.name} (${country.iso2 || 'N/A'}): ${report.issue_count} issues in ${report.boundaries} boundaries`,
+        );
+        for (const [type, list] of Object.entries(report.issues)) {
+          if (list.length > 0) console.log(`   • ${type}: ${list.length}`);
+        }
+        if (report.repairs) {
+          console.log(`   Left after repair: ${report.remaining_issue_count}`);
+        }
+      }
+
+      if (reportPath) {
+        await require('fs').promises.writeFile(
+          reportPath,
+          JSON.stringify(
+            { generated_at: new Date(), repair, countries: reports },
+            null,
+            2,
+          ),
+        );
+        console.log(`\n📄 Report written to ${reportPath}`);
+      }
+
+      return reports.reduce(
+        (n, r) => n + (r.remaining_issue_count ?? r.issue_count),
+        0,
+      );
+    } finally {
+      await this.cleanup();
+    }
+  }
+
+  /**
+   * Print the import job and stored boundaries per level (within
+   * minLevel..maxLevel) of each imported country, then how the latest
+   * import run compares to the previous one. Returns the number of failed
+   * imports plus level drops beyond history.maxLevelDrop.
+   */
+  async status(filter = [], { minLevel = null, maxLevel = null } = {}) {
+    try {
+      this.db = await new DatabaseService(Config).connect();
+      this.profiles = await new LevelProfiles(Config).load();
+      const policy = new ReimportPolicy(Config, this.profiles);
+      const countries = await this.fetchCountries(filter);
+      let failed = 0;
+
+      for (const country of countries) {
+        const job = await this.db.getImportJob(country.countryId);
+        const { total, levelStats } = await this.db.getCountryStats(
+          country.countryId,
+        );
+        if (!job && total === 0) {
+          // Listing every country in countryMetadata is noise
+          if (filter.length > 0) {
+            console.log(`\n   ${country.name} (${country.iso2}): not imported`);
+          }
+          continue;
+        }
+        if (job?.status === 'failed') failed++;
+
+        const lastSuccess = policy.lastSuccess(job);
+        console.log(
+          `\n📋 ${country.name} (${country.iso2 || 'N/A'}): ${
+            job?.status || 'no job'
+          }, ${total} boundaries`,
+        );
+        console.log(
+          `   • Last import: ${lastSuccess ? lastSuccess.toISOString() : 'never'}`,
+        );
+        if (job?.status === 'complete' && policy.dueReason(job)) {
+          console.log(`   • Due: ${policy.dueReason(job)}`);
+        }
+        if (job?.frontier?.length > 0) {
+          console.log(`   • Frontier: ${job.frontier.length} boundaries`);
+        }
+        if (job?.error) console.log(`   • Error: ${job.error}`);
+
+        const profile = this.profiles.forCountry(country.iso2);
+        Object.entries(levelStats)
+          .map(([level, count]) => [Number(level), count])
+          .filter(
+            ([level]) =>
+              (minLevel == null || level >= minLevel) &&
+              (maxLevel == null || level <= maxLevel),
+          )
+          .sort(([a], [b]) => a - b)
+          .forEach(([level, count]) => {
+            console.log(
+              `      - ${profile.levelName(level)} (${level}): ${count}`,
+            );
+          });
+      }
+
+      const regressions = await this.displayRunComparison(
+        filter.length > 0 ? countries.map((c) => c.countryId) : null,
+        { minLevel, maxLevel },
+      );
+      return failed + regressions;
+    } finally {
+      await this.cleanup();
+    }
+  }
+
+  /**
+   * Summarize the latest import run and list level count changes of the
+   * countries it processed (limited to `countryIds` when given). Returns
+   * the number of drops beyond history.maxLevelDrop.
+   */
+  async displayRunComparison(countryIds, { minLevel = null, maxLevel = null }) {
+    const run = await this.db.getLatestRunComparison();
+    if (!run) {
+      console.log('\n🗂️  No import runs recorded yet');
+      return 0;
+    }
+
+    const count = (n) => n.toLocaleString('en-US');
+    const outcomes = { processed: 0, partial: 0, skipped: 0, failed: 0 };
+    for (const c of run.countries) outcomes[c.outcome]++;
+    console.log(
+      `\n🗂️  Latest import run ${run._key} (${run.status}): started ${run.started_at}${
+        run.finished_at ? `, finished ${run.finished_at}` : ''
+      }`,
+    );
+    console.log(
+      `   ${outcomes.processed} processed, ${outcomes.partial} partial, ${outcomes.skipped} skipped, ${outcomes.failed} failed, ${
+        run.totals?.overpass_requests ?? 'unknown'
+      } Overpass requests`,
+    );
+
+    const { maxLevelDrop } = Config.history;
+    let regressions = 0;
+    const lines = [];
+    for (const c of run.countries) {
+      if (countryIds && !countryIds.includes(c.countryId)) continue;
+      if (c.outcome === 'failed') {
+        lines.push(`   ❌ ${c.iso2} failed: ${c.errors.join('; ')}`);
+        continue;
+      }
+      if (c.outcome === 'partial') {
+        lines.push(`   ⚠️  ${c.iso2} partial: ${c.warnings.join('; ')}`);
+      }
+      if (!c.previous) continue;
+
+      const levels = new Set(
+        [...Object.keys(c.levels), ...Object.keys(c.previous.levels)].map(
+          Number,
+        ),
+      );
+      for (const level of [...levels].sort((a, b) => a - b)) {
+        if (minLevel != null && level < minLevel) continue;
+        if (maxLevel != null && level > maxLevel) continue;
+        const before = c.previous.levels[level] || 0;
+        const after = c.levels[level] || 0;
+        if (before === after) continue;
+
+        if (after > before) {
+          lines.push(
+            `   📈 ${c.iso2} level ${level} rose from ${count(before)} to ${count(after)}`,
+          );
+          continue;
+        }
+        const drop = (before - after) / before;
+        const flagged = drop > maxLevelDrop;
+        if (flagged) regressions++;
+        lines.push(
+          `   ${flagged ? '⚠️ ' : '📉'} ${c.iso2} level ${level} dropped from ${count(
+            before,
+          )} to ${count(after)} (-${(drop * 100).toFixed(1)}%)`,
+        );
+      }
+    }
+
+    if (lines.length > 0) {
+      console.log("   Compared to each country's previous import:");
+      lines.forEach((line) => console.log(line));
+    }
+    if (regressions > 0) {
+      console.log(
+        `   ${regressions} levels dropped by more than ${maxLevelDrop * 100}%`,
+      );
+    }
+    return regressions;
+  }
+
+  /**
+   * Export each matching country's hierarchy (within minLevel..maxLevel)
+   * to `output` in the given formats. Returns the number of countries
+   * exported.
+   */
+  async exportCountries(
+    filter = [],
+    {
+      output = 'exports',
+      formats = ['tree', 'csv', 'geojson'],
+      minLevel = null,
+      maxLevel = null,
+    } = {},
+  ) {
+    try {
+      this.db = await new DatabaseService(Config).connect();
+      const exporter = new CountryExporter(Config, this.db);
+      const countries = await this.fetchCountries(filter);
+      await require('fs').promises.mkdir(output, { recursive: true });
+
+      let exported = 0;
+      for (const country of countries) {
+        if (!country.iso2) continue;
+        const count = await exporter.exportCountry(country, {
+          output,
+          formats,
+          minLevel,
+          maxLevel,
+        });
+        if (count === 0) {
+          console.log(`⚠️  ${country.name}: nothing to export`);
+          continue;
+        }
+        console.log(
+          `📦 ${country.name}: ${count} boundaries → ${formats
+            .map((f) => `${country.iso2}.${EXPORT_FORMATS[f].extension}`)
+            .join(', ')} in ${output}`,
+        );
+        exported++;
+      }
+      return exported;
+    } finally {
+      await this.cleanup();
+    }
+  }
+
+  /**
+   * Remove a country's boundaries, edges, staged runs and import job. With
+   * dryRun only the counts are reported.
+   */
+  async purge(filter, { dryRun = false } = {}) {
+    try {
+      this.db = await new DatabaseService(Config).connect();
+      const countries = await this.fetchCountries(filter);
+      if (countries.length !== 1) {
+        throw new Error(
+          `purge needs exactly one country, "${filter.join(' ')}" matches ${countries.length}`,
+        );
+      }
+
+      const [country] = countries;
+      const counts = await this.db.purgeCountry(country.countryId, {
+        dryRun,
+      });
+      console.log(
+        `\n🗑️  ${dryRun ? 'Would remove' : 'Removed'} for ${country.name} (${
+          country.iso2 || 'N/A'
+        }):`,
+      );
+      for (const [collection, count] of Object.entries(counts)) {
+        console.log(`   • ${collection}: ${count}`);
+      }
+      return counts;
+    } finally {
+      await this.cleanup();
+    }
+  }
+
   async cleanup() {
     console.log('\n🧹 Cleaning up...');
     if (this.db) await this.db.disconnect();
@@ -993,49 +6517,455 @@ class BoundaryImporter {
 }
 
 // ============================================================================
-// ENTRY POINT
+// COMMAND LINE - Subcommands, flags and exit codes
 // ============================================================================
 
-if (require.main === module) {
-  const importer = new BoundaryImporter();
-  const args = process.argv.slice(2);
+class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UsageError';
+  }
+}
 
-  // Usage examples:
-  // Process all unprocessed countries: node script.js
-  // Process specific countries: node script.js US GB PK
-  // Force reprocess: node script.js US --force
-  // Process by country IDs: node script.js "countryMetadata/5253251"
+const EXIT_CODES = {
+  ok: 0,
+  failed: 1, // Countries failed to import, or verify left issues
+  usage: 2, // Invalid command line or configuration
+  error: 3, // Unexpected error (database unreachable, bad config file, ...)
+};
 
-  console.log('\n📖 Usage:');
-  console.log(
-    '   node script.js                    # Process all unprocessed countries',
-  );
-  console.log(
-    '   node script.js US GB              # Process specific countries by ISO2',
-  );
-  console.log(
-    '   node script.js US --force         # Force reprocess even if already done',
-  );
-  console.log(
-    '   node script.js countryMetadata/123 # Process by country ID\n',
+// Boolean flags take no value; others take `--flag=value` or `--flag value`
+const CLI_FLAGS = {
+  help: { type: 'boolean', help: 'Show help (also `-h`)' },
+  config: {
+    type: 'string',
+    value: '<file>',
+    help: 'JSON/YAML settings file (default: $OSMDATA_CONFIG)',
+  },
+  force: { type: 'boolean', help: 'Re-import even if already processed' },
+  update: {
+    type: 'boolean',
+    help: 'Rewrite only boundaries changed in OSM since the last import',
+  },
+  daemon: {
+    type: 'boolean',
+    help: 'Work through the stalest countries within the scheduler budget',
+  },
+  file: {
+    type: 'string',
+    value: '<path>',
+    help: 'Import offline from a .osm.pbf / .osm / .osm.gz extract',
+  },
+  cache: {
+    type: 'string',
+    value: '<mode>',
+    choices: ['off', 'read-write', 'record', 'replay'],
+    help: 'Overpass response cache mode',
+  },
+  'min-level': {
+    type: 'level',
+    value: '<n>',
+    help: 'Only include boundaries at this admin level or deeper',
+  },
+  'max-level': {
+    type: 'level',
+    value: '<n>',
+    help: 'Stop at this admin level (import: caps every country profile)',
+  },
+  'dry-run': {
+    type: 'boolean',
+    help: 'Report what would happen, change nothing',
+  },
+  concurrency: {
+    type: 'count',
+    value: '<n>',
+    help: 'Countries imported in parallel (default 1)',
+  },
+  repair: { type: 'boolean', help: 'Fix the issues that can be fixed' },
+  report: {
+    type: 'string',
+    value: '<file>',
+    help: 'Also write the JSON report to this file',
+  },
+  output: {
+    type: 'string',
+    value: '<dir>',
+    help: 'Directory for the export files (default exports)',
+  },
+  format: {
+    type: 'list',
+    value: '<formats>',
+    choices: Object.keys(EXPORT_FORMATS),
+    help: `Comma-separated: ${Object.keys(EXPORT_FORMATS).join(', ')} (default tree,csv,geojson)`,
+  },
+};
+
+const CLI_GLOBAL_FLAGS = ['help', 'config'];
+
+const CLI_COMMANDS = {
+  import: {
+    args: '[countries...]',
+    summary: 'Import countries, all of them when none are given (default)',
+    note: 'Imports walk down from the country boundary (admin level 2), so there is no --min-level.',
+    flags: [
+      'force',
+      'update',
+      'daemon',
+      'file',
+      'cache',
+      'max-level',
+      'dry-run',
+      'concurrency',
+    ],
+    examples: [
+      'import US GB',
+      'import US --force',
+      'import DE --update --max-level=6',
+      'import DE --file=germany-latest.osm.pbf',
+      'import --daemon',
+      'import --dry-run',
+    ],
+  },
+  status: {
+    args: '[countries...]',
+    summary: 'Show import state and stored boundaries per level',
+    flags: ['min-level', 'max-level'],
+    examples: ['status', 'status DE --max-level=6'],
+  },
+  verify: {
+    args: '[countries...]',
+    summary: 'Check hierarchy integrity, without Overpass requests',
+    flags: ['repair', 'report'],
+    examples: ['verify DE', 'verify DE --repair --report=de.json'],
+  },
+  export: {
+    args: '<countries...>',
+    minArgs: 1,
+    summary: 'Write country hierarchies as a JSON tree, CSV and GeoJSON',
+    flags: ['output', 'format', 'min-level', 'max-level'],
+    examples: [
+      'export DE FR --output=dumps --max-level=6',
+      'export DE --format=csv,ndjson --min-level=4',
+    ],
+  },
+  config: {
+    args: '',
+    maxArgs: 0,
+    summary: 'Print the resolved configuration, secrets redacted',
+    flags: ['file', 'cache', 'daemon', 'max-level'],
+    examples: [
+      'config --config=prod.yaml',
+      'ARANGO_URL=http://db:8529 node osm.js config',
+    ],
+  },
+  purge: {
+    args: '<country>',
+    minArgs: 1,
+    maxArgs: 1,
+    summary: 'Remove everything stored for one country',
+    flags: ['dry-run'],
+    examples: ['purge DE --dry-run', 'purge countryMetadata/5253251'],
+  },
+};
+
+function parseFlagValue(name, spec, raw) {
+  if (spec.type === 'list') {
+    const values = [...new Set(raw.split(',').filter(Boolean))];
+    const unknown = values.filter((value) => !spec.choices.includes(value));
+    if (values.length === 0 || unknown.length > 0) {
+      throw new UsageError(
+        `--${name} takes a comma-separated list of ${spec.choices.join(', ')} (got "${raw}")`,
+      );
+    }
+    return values;
+  }
+  if (spec.choices && !spec.choices.includes(raw)) {
+    throw new UsageError(
+      `--${name} must be one of ${spec.choices.join(', ')} (got "${raw}")`,
+    );
+  }
+  if (spec.type === 'level' || spec.type === 'count') {
+    const value = Number(raw);
+    const min = spec.type === 'level' ? 2 : 1;
+    const max = spec.type === 'level' ? 11 : Infinity;
+    if (!Number.isInteger(value) || value < min || value > max) {
+      throw new UsageError(
+        spec.type === 'level'
+          ? `--${name} must be an admin level from 2 to 11 (got "${raw}")`
+          : `--${name} must be a positive integer (got "${raw}")`,
+      );
+    }
+    return value;
+  }
+  return raw;
+}
+
+/**
+ * Split argv into command, country arguments and flags. Without a known
+ * command the arguments are countries to import, as before subcommands.
+ * Throws UsageError for anything invalid.
+ */
+function parseCommandLine(argv) {
+  const positionals = [];
+  const flags = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '-h') {
+      flags.help = true;
+      continue;
+    }
+    if (arg === '--') {
+      positionals.push(...argv.slice(i + 1));
+      break;
+    }
+    if (!arg.startsWith('--')) {
+      positionals.push(arg);
+      continue;
+    }
+
+    const eq = arg.indexOf('=');
+    const name = arg.slice(2, eq === -1 ? undefined : eq);
+    const spec = CLI_FLAGS[name];
+    if (!spec) throw new UsageError(`Unknown option --${name}`);
+    if (spec.type === 'boolean') {
+      if (eq !== -1) throw new UsageError(`--${name} takes no value`);
+      flags[name] = true;
+      continue;
+    }
+    const raw = eq === -1 ? argv[++i] : arg.slice(eq + 1);
+    if (raw == null || raw === '' || (eq === -1 && raw.startsWith('--'))) {
+      throw new UsageError(`--${name} needs a value`);
+    }
+    flags[name] = parseFlagValue(name, spec, raw);
+  }
+
+  let command = 'import';
+  if (positionals[0] === 'help') {
+    positionals.shift();
+    flags.help = true;
+  }
+  if (Object.prototype.hasOwnProperty.call(CLI_COMMANDS, positionals[0])) {
+    command = positionals.shift();
+  } else if (flags.help) {
+    // `help` alone, or for something that is not a command
+    if (positionals.length > 0) {
+      throw new UsageError(`Unknown command "${positionals[0]}"`);
+    }
+    return { command: null, countries: [], flags };
+  }
+  if (flags.help) return { command, countries: [], flags };
+
+  const spec = CLI_COMMANDS[command];
+  for (const name of Object.keys(flags)) {
+    if (!CLI_GLOBAL_FLAGS.includes(name) && !spec.flags.includes(name)) {
+      throw new UsageError(`${command} does not accept --${name}`);
+    }
+  }
+  if (positionals.length < (spec.minArgs || 0)) {
+    throw new UsageError(`${command} needs ${spec.args}`);
+  }
+  if (spec.maxArgs != null && positionals.length > spec.maxArgs) {
+    throw new UsageError(
+      spec.maxArgs === 0
+        ? `${command} takes no arguments`
+        : `${command} takes only ${spec.args}`,
+    );
+  }
+  if (flags['min-level'] > flags['max-level']) {
+    throw new UsageError('--min-level is greater than --max-level');
+  }
+  if (flags.force && flags.update) {
+    throw new UsageError('--force and --update cannot be combined');
+  }
+  if (flags.daemon && flags.concurrency > 1) {
+    throw new UsageError('--daemon imports one country at a time');
+  }
+
+  return { command, countries: positionals, flags };
+}
+
+function formatFlags(names) {
+  const rows = names.map((name) => {
+    const spec = CLI_FLAGS[name];
+    return [`--${name}${spec.value ? `=${spec.value}` : ''}`, spec.help];
+  });
+  const width = Math.max(...rows.map(([flag]) => flag.length));
+  return rows.map(([flag, help]) => `  ${flag.padEnd(width)}  ${help}`);
+}
+
+function commandLine(command) {
+  const { args } = CLI_COMMANDS[command];
+  return args ? `${command} ${args}` : command;
+}
+
+function formatHelp(command = null) {
+  const lines = [];
+  if (command) {
+    const spec = CLI_COMMANDS[command];
+    lines.push(`Usage: node osm.js ${commandLine(command)} [options]`, '');
+    lines.push(spec.summary, '');
+    if (spec.note) lines.push(spec.note, '');
+    lines.push('Options:');
+    lines.push(...formatFlags([...spec.flags, ...CLI_GLOBAL_FLAGS]));
+    lines.push('', 'Examples:');
+    lines.push(...spec.examples.map((example) => `  node osm.js ${example}`));
+  } else {
+    lines.push('Usage: node osm.js [command] [countries...] [options]', '');
+    lines.push('Commands:');
+    const width = Math.max(
+      ...Object.entries(CLI_COMMANDS).map(([name]) => commandLine(name).length),
+    );
+    for (const [name, spec] of Object.entries(CLI_COMMANDS)) {
+      lines.push(`  ${commandLine(name).padEnd(width)}  ${spec.summary}`);
+    }
+    lines.push('', 'Global options:', ...formatFlags(CLI_GLOBAL_FLAGS));
+    lines.push('', 'Run `node osm.js <command> --help` for its options.');
+  }
+  lines.push(
+    '',
+    'Countries are ISO2 codes, names or countryMetadata ids.',
+    `Exit codes: ${EXIT_CODES.ok} ok, ${EXIT_CODES.failed} failed countries or issues left, ${EXIT_CODES.usage} usage or configuration error, ${EXIT_CODES.error} unexpected error.`,
   );
+  return lines.join('\n');
+}
 
-  importer
-    .run(args.length ? args : null)
-    .then(() => {
-      console.log('\n✅ Import process finished');
-      process.exit(0);
-    })
-    .catch((err) => {
-      console.error('\n❌ Import process failed:', err);
-      process.exit(1);
-    });
+/**
+ * Settings given as import flags, the last configuration layer
+ */
+function configOverrides(flags) {
+  const overrides = {};
+  if (flags.file) {
+    setSetting(overrides, 'source.type', 'file');
+    setSetting(overrides, 'source.file', flags.file);
+  }
+  if (flags.cache) setSetting(overrides, 'cache.mode', flags.cache);
+  if (flags.daemon) setSetting(overrides, 'scheduler.daemon', true);
+  if (flags['max-level'] != null) {
+    setSetting(overrides, 'processing.levelCap', flags['max-level']);
+  }
+  return overrides;
+}
+
+/**
+ * Run a command line; resolves to the process exit code
+ */
+async function runCli(argv) {
+  let cli;
+  try {
+    cli = parseCommandLine(argv);
+    if (cli.flags.help) {
+      console.log(formatHelp(cli.command));
+      return EXIT_CODES.ok;
+    }
+    // Import flags are settings; elsewhere --max-level only filters output
+    const configurable = ['import', 'config'].includes(cli.command);
+    applyConfig(
+      await loadConfig({
+        file: cli.flags.config || process.env.OSMDATA_CONFIG || null,
+        overrides: configurable ? configOverrides(cli.flags) : {},
+      }),
+    );
+  } catch (err) {
+    if (err instanceof ConfigError) {
+      console.error(`❌ ${err.message}`);
+      return EXIT_CODES.usage;
+    }
+    if (!(err instanceof UsageError)) throw err;
+    console.error(`❌ ${err.message}`);
+    console.error('   Run `node osm.js --help` for usage.');
+    return EXIT_CODES.usage;
+  }
+
+  const { command, countries, flags } = cli;
+  const levels = {
+    minLevel: flags['min-level'] ?? null,
+    maxLevel: flags['max-level'] ?? null,
+  };
+  const importer = new BoundaryImporter();
+
+  try {
+    switch (command) {
+      case 'import': {
+        const failed = await importer.run(countries, {
+          force: !!flags.force,
+          update: !!flags.update,
+          dryRun: !!flags['dry-run'],
+          concurrency: flags.concurrency ?? 1,
+        });
+        if (failed > 0) {
+          console.log(`\n⚠️  Import finished, ${failed} countries failed`);
+          return EXIT_CODES.failed;
+        }
+        console.log('\n✅ Import process finished');
+        return EXIT_CODES.ok;
+      }
+      case 'status': {
+        const failed = await importer.status(countries, levels);
+        return failed > 0 ? EXIT_CODES.failed : EXIT_CODES.ok;
+      }
+      case 'verify': {
+        const remaining = await importer.verify(countries, {
+          repair: !!flags.repair,
+          reportPath: flags.report,
+        });
+        return remaining > 0 ? EXIT_CODES.failed : EXIT_CODES.ok;
+      }
+      case 'export': {
+        const exported = await importer.exportCountries(countries, {
+          output: flags.output,
+          formats: flags.format,
+          ...levels,
+        });
+        return exported > 0 ? EXIT_CODES.ok : EXIT_CODES.failed;
+      }
+      case 'config':
+        console.log(JSON.stringify(redactConfig(Config), null, 2));
+        return EXIT_CODES.ok;
+      case 'purge':
+        await importer.purge(countries, { dryRun: !!flags['dry-run'] });
+        return EXIT_CODES.ok;
+    }
+  } catch (err) {
+    console.error(`\n❌ ${command} failed:`, err);
+    return EXIT_CODES.error;
+  }
+}
+
+// ============================================================================
+// ENTRY POINT
+// ============================================================================
+
+if (require.main === module) {
+  runCli(process.argv.slice(2)).then((code) => process.exit(code));
 }
 
 module.exports = {
   BoundaryImporter,
   DatabaseService,
+  BoundaryLookupService,
+  BoundarySearchService,
   OSMService,
+  OverpassEndpointPool,
+  OverpassQueryError,
+  ResponseCache,
+  OSMFileService,
+  OSMFileReader,
   IterativeProcessor,
+  HierarchyVerifier,
+  ReimportPolicy,
+  LevelProfiles,
+  ConfigError,
+  AdjacencyBuilder,
+  CountryExporter,
+  GeometryBuilder,
+  parseCommandLine,
+  formatHelp,
+  runCli,
+  UsageError,
+  loadConfig,
+  applyConfig,
+  validateSettings,
+  redactConfig,
   Config,
 };
@@ -0,0 +1,192 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { AdjacencyBuilder, DatabaseService, Config } = require('../osm.js');
+
+const DE = 'countryMetadata/DE';
+const AT = 'countryMetadata/AT';
+
+// Relation skeleton with the given member ways
+const relation = (id, ...ways) => ({
+  type: 'relation',
+  id,
+  members: ways.map((ref) => ({ type: 'way', ref, role: 'outer' })),
+});
+
+/**
+ * In-memory boundaries with the shared-border search done in JS, as the
+ * AQL in DatabaseService.findSharedBorders does it
+ */
+function memoryDb(boundaries) {
+  const db = {
+    adjacency: null,
+    getCountryBoundaryIds: async (countryId) =>
+      boundaries
+        .filter((b) => b.countryId === countryId)
+        .map(({ _id, osm_id }) => ({ _id, osm_id })),
+    setBorderWays: async (links) => {
+      for (const link of links) {
+        boundaries.find((b) => b._id === link._id).border_way_ids =
+          link.way_ids;
+      }
+    },
+    findSharedBorders: async (countryId) => {
+      const pairs = new Map();
+      for (const b of boundaries.filter((b) => b.countryId === countryId)) {
+        for (const other of boundaries) {
+          if (other === b || other.admin_level !== b.admin_level) continue;
+          const shared = (b.border_way_ids || []).filter((way) =>
+            (other.border_way_ids || []).includes(way),
+          );
+          if (shared.length === 0) continue;
+          const [from, to] = [b._id, other._id].sort();
+          pairs.set(`${from} ${to}`, {
+            from,
+            to,
+            admin_level: b.admin_level,
+            international: b.countryId !== other.countryId,
+            way_ids: shared,
+          });
+        }
+      }
+      return [...pairs.values()];
+    },
+    replaceAdjacency: async (countryId, edges) => {
+      db.adjacency = { countryId, edges };
+    },
+  };
+  return db;
+}
+
+const boundary = (osmId, countryId, adminLevel, borderWays) => ({
+  _id: `adminBoundaries/${osmId}`,
+  osm_id: String(osmId),
+  countryId,
+  admin_level: adminLevel,
+  ...(borderWays ? { border_way_ids: borderWays } : {}),
+});
+
+test('links touching boundaries and leaves disjoint ones alone', async () => {
+  // 1 and 2 touch along way 900; 3 is an island; 4 is a level-6 boundary
+  // on the same way; 5, across the border in an already imported country,
+  // touches 2 along way 950
+  const boundaries = [
+    boundary(1, DE, 4),
+    boundary(2, DE, 4),
+    boundary(3, DE, 4),
+    boundary(4, DE, 6),
+    boundary(5, AT, 4, [950, 951]),
+  ];
+  const relations = [
+    relation(1, 100, 900, 101),
+    relation(2, 900, 200, 950),
+    relation(3, 300),
+    relation(4, 900, 400),
+  ];
+  const db = memoryDb(boundaries);
+  const wayRequests = [];
+  const osm = {
+    fetchRelationsById: async (ids, mode) => {
+      assert.equal(mode, 'skel');
+      return relations.filter((rel) => ids.includes(String(rel.id)));
+    },
+    fetchWaysById: async (ids) => {
+      wayRequests.push(...ids);
+      // Way 900 runs one degree north along the meridian, 950 half that
+      const lengths = { 900: 1, 950: 0.5 };
+      return ids.map((id) => ({
+        id,
+        geometry: [
+          { lon: 0, lat: 0 },
+          { lon: 0, lat: lengths[id] },
+        ],
+      }));
+    },
+  };
+
+  const count = await new AdjacencyBuilder(Config, db, osm).buildCountry(DE);
+
+  assert.equal(count, 2);
+  assert.deepEqual(boundaries[2].border_way_ids, [300]);
+  assert.deepEqual(wayRequests.sort(), [900, 950]);
+  assert.equal(db.adjacency.countryId, DE);
+  assert.deepEqual(
+    db.adjacency.edges.map((e) => [
+      e._from,
+      e._to,
+      e.admin_level,
+      e.shared_ways,
+      e.border_type,
+      Math.round(e.border_length_km),
+    ]),
+    [
+      ['adminBoundaries/1', 'adminBoundaries/2', 4, 1, 'internal', 111],
+      ['adminBoundaries/2', 'adminBoundaries/5', 4, 1, 'international', 56],
+    ],
+  );
+});
+
+test('a country without boundaries makes no requests', async () => {
+  const osm = {
+    fetchRelationsById: async () => assert.fail('no relations needed'),
+  };
+  const builder = new AdjacencyBuilder(Config, memoryDb([]), osm);
+  assert.equal(await builder.buildCountry(DE), 0);
+});
+
+/**
+ * DatabaseService over a fake connection that records each query
+ */
+function recordingService() {
+  const service = new DatabaseService(Config);
+  const named = (name) => ({ name, isArangoCollection: true });
+  service.collections = {
+    [Config.collections.ADMIN_BOUNDARIES]: named('adminBoundaries'),
+    [Config.collections.ADMIN_BOUNDARY_ADJACENCY]: named(
+      'adminBoundaryAdjacency',
+    ),
+  };
+  service.queries = [];
+  service.db = {
+    query: async (query) => {
+      service.queries.push({
+        ...query,
+        text: query.query.replace(/\s+/g, ' '),
+      });
+      return { all: async () => [] };
+    },
+  };
+  return service;
+}
+
+test('findSharedBorders matches member ways through the array index', async () => {
+  const service = recordingService();
+  await service.findSharedBorders(DE);
+
+  const [{ text }] = service.queries;
+  // Only the [*] form can use idx_border_ways
+  assert.match(text, /FILTER way IN other\.border_way_ids\[\*\]/);
+  assert.match(text, /FILTER other\.admin_level == b\.admin_level/);
+});
+
+test('replaceAdjacency upserts in batches and drops edges not found again', async () => {
+  const service = recordingService();
+  const edges = Array.from(
+    { length: Config.processing.batchSize + 1 },
+    (_, i) => ({ _from: 'adminBoundaries/1', _to: `adminBoundaries/${i + 2}` }),
+  );
+
+  await service.replaceAdjacency(DE, edges);
+
+  assert.equal(service.queries.length, 3);
+  const [first, second, sweep] = service.queries;
+  const values = (query) => Object.values(query.bindVars);
+  assert.equal(values(first)[0].length, Config.processing.batchSize);
+  assert.equal(values(second)[0].length, 1);
+  // The stale-edge sweep compares against the same build timestamp
+  const builtAt = values(first).find((v) => /^\d{4}-\d{2}-\d{2}T/.test(v));
+  assert.ok(builtAt);
+  assert.ok(values(sweep).includes(builtAt));
+  assert.ok(values(sweep).includes(DE));
+  assert.match(sweep.text, /FILTER e\.updated_at != @value\d/);
+  assert.match(sweep.text, /REMOVE e IN @@value\d/);
+});
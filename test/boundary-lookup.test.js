@@ -0,0 +1,101 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { BoundaryLookupService, GeometryBuilder, Config } = require('../osm.js');
+
+const geometry = new GeometryBuilder();
+
+// Square boundary doc from lon/lat corner and size, shaped by fromRelation
+function boundary(key, parentKey, level, [x, y], size) {
+  const ring = [
+    [x, y],
+    [x + size, y],
+    [x + size, y + size],
+    [x, y + size],
+    [x, y],
+  ];
+  const shape = geometry.fromRelation({
+    id: Number(key),
+    members: [
+      {
+        type: 'way',
+        ref: Number(key),
+        role: 'outer',
+        geometry: ring.map(([lon, lat]) => ({ lon, lat })),
+      },
+    ],
+  });
+  return {
+    _id: `adminBoundaries/${key}`,
+    _key: key,
+    osm_id: key,
+    name: `Boundary ${key}`,
+    admin_level: level,
+    parent_id: parentKey ? `adminBoundaries/${parentKey}` : null,
+    ...shape,
+  };
+}
+
+// In-memory stand-in for the candidate query: children of a parent (or
+// the countries) whose bbox holds the point
+function lookupService(docs) {
+  const service = new BoundaryLookupService(Config, {});
+  service.fetchCandidates = async (parentId, [lon, lat]) =>
+    docs.filter(
+      (doc) =>
+        (parentId == null
+          ? doc.parent_id == null && doc.admin_level === 2
+          : doc.parent_id === parentId) &&
+        doc.bbox[0] <= lon &&
+        doc.bbox[2] >= lon &&
+        doc.bbox[1] <= lat &&
+        doc.bbox[3] >= lat,
+    );
+  return service;
+}
+
+const DOCS = [
+  boundary('1', null, 2, [0, 0], 10),
+  boundary('2', '1', 4, [0, 0], 5),
+  boundary('3', '2', 6, [0, 0], 2),
+  boundary('4', '2', 6, [2, 2], 2),
+  boundary('9', null, 2, [20, 0], 4),
+];
+
+test('descends through nested boundaries, country first', async () => {
+  const chain = await lookupService(DOCS).lookup(1, 1);
+  assert.deepEqual(
+    chain.map((entry) => [entry.osm_id, entry.admin_level]),
+    [
+      ['1', 2],
+      ['2', 4],
+      ['3', 6],
+    ],
+  );
+  assert.deepEqual(
+    (await lookupService(DOCS).lookup(3, 3)).map((entry) => entry.osm_id),
+    ['1', '2', '4'],
+  );
+});
+
+test('stops at the deepest boundary holding the point', async () => {
+  const chain = await lookupService(DOCS).lookup(7, 7);
+  assert.deepEqual(
+    chain.map((entry) => entry.osm_id),
+    ['1'],
+  );
+});
+
+test('a point outside every boundary resolves to an empty chain', async () => {
+  assert.deepEqual(await lookupService(DOCS).lookup(50, 50), []);
+});
+
+test('rejects invalid coordinates', async () => {
+  await assert.rejects(
+    lookupService(DOCS).lookup(91, 0),
+    /Invalid coordinates/,
+  );
+  await assert.rejects(
+    lookupService(DOCS).lookup(0, NaN),
+    /Invalid coordinates/,
+  );
+});
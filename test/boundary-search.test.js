@@ -0,0 +1,135 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { BoundarySearchService, Config } = require('../osm.js');
+
+// AQL with its bind variables inlined, for matching against
+const inline = ({ query, bindVars }) =>
+  query
+    .replace(/@(@?value\d+)/g, (_, name) =>
+      name.startsWith('@') ? bindVars[name] : JSON.stringify(bindVars[name]),
+    )
+    .replace(/\s+/g, ' ');
+
+const HIT = {
+  _id: 'adminBoundaries/8',
+  osm_id: '8',
+  name: 'Springfield',
+  admin_level: 8,
+  label: 'Springfield, Sangamon County, Illinois, United States',
+  ancestors: [{ _id: 'adminBoundaries/6', name: 'Sangamon County' }],
+};
+
+/**
+ * BoundarySearchService over a fake connection that records each query
+ * and answers country lookups with `countries` and searches with `hits`
+ */
+function searchService(search = {}, { countries = [], hits = [HIT] } = {}) {
+  const queries = [];
+  const named = (name, flag) => ({ name, [flag]: true });
+  const service = new BoundarySearchService(
+    { ...Config, search: { ...Config.search, ...search } },
+    {
+      collections: {
+        [Config.collections.ADMIN_BOUNDARIES]: named(
+          'adminBoundaries',
+          'isArangoCollection',
+        ),
+      },
+      db: {
+        view: (name) => named(name, 'isArangoView'),
+        collection: (name) => named(name, 'isArangoCollection'),
+        query: async (query) => {
+          const text = inline(query);
+          queries.push(text);
+          const rows = text.includes('countryMetadata') ? countries : hits;
+          return { all: async () => rows };
+        },
+      },
+    },
+  );
+  return { service, queries };
+}
+
+test('builds a prefix, exact and fuzzy name search over the view', async () => {
+  const { service, queries } = searchService();
+
+  const hits = await service.search('  Springf ');
+
+  assert.deepEqual(hits, [HIT]);
+  assert.equal(queries.length, 1);
+  const [query] = queries;
+  assert.match(
+    query,
+    /LET prefixes = TOKENS\("Springf", "boundary_name_prefix"\)/,
+  );
+  assert.match(query, /FOR b IN adminBoundariesSearch SEARCH/);
+  assert.match(
+    query,
+    /ANALYZER\(prefixes ALL IN b\.name OR prefixes ALL IN b\.official_name, "boundary_name_prefix"\)/,
+  );
+  assert.match(query, /LEVENSHTEIN_MATCH\(b\.name, normalized, 1, false\)/);
+  assert.match(query, /LIMIT 10/);
+  assert.doesNotMatch(query, /b\.countryId ==|b\.admin_level IN/);
+});
+
+test('narrows by country, levels and language', async () => {
+  const { service, queries } = searchService(
+    { fuzzyDistance: 0 },
+    { countries: ['countryMetadata/US'] },
+  );
+
+  await service.search('springf', {
+    country: 'us',
+    levels: [6, 8],
+    language: 'de',
+    limit: 3,
+  });
+
+  assert.equal(queries.length, 2);
+  assert.match(queries[0], /FILTER c\.iso2 == "US"/);
+  const query = queries[1];
+  assert.match(query, /AND b\.countryId == "countryMetadata\/US"/);
+  assert.match(query, /AND b\.admin_level IN \[6,8\]/);
+  // The language is bound as an attribute name (b.names.name.@value)
+  assert.match(query, /prefixes ALL IN b\.names\.name\."de"/);
+  assert.doesNotMatch(query, /LEVENSHTEIN_MATCH/);
+  assert.match(query, /LIMIT 3/);
+});
+
+test('maps each hit to its ancestors and a display label', async () => {
+  const { service, queries } = searchService();
+
+  await service.search('springfield', { country: 'countryMetadata/US' });
+
+  // A countryMetadata id needs no lookup
+  assert.equal(queries.length, 1);
+  const [query] = queries;
+  assert.match(
+    query,
+    /SORT exact DESC, b\.admin_level ASC, b\.population DESC, BM25\(b\) DESC/,
+  );
+  assert.match(
+    query,
+    /FOR id IN REVERSE\(b\.ancestor_ids \|\| \[\]\) LET a = DOCUMENT\(adminBoundaries, id\) FILTER a != null AND a\.deleted != true RETURN KEEP\(a, '_id', 'name', 'admin_level', 'level_name'\)/,
+  );
+  assert.match(
+    query,
+    /label: CONCAT_SEPARATOR\(', ', b\.name, ancestors\[\*\]\.name\)/,
+  );
+});
+
+test('blank queries return nothing and bad input is rejected', async () => {
+  const { service, queries } = searchService();
+
+  assert.deepEqual(await service.search('   '), []);
+  assert.deepEqual(await service.search(null), []);
+  assert.equal(queries.length, 0);
+
+  await assert.rejects(
+    service.search('x', { language: 'de; REMOVE' }),
+    /Invalid language/,
+  );
+  await assert.rejects(service.search('x', { country: 'XX' }), {
+    message: 'Unknown country: XX',
+  });
+});
@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCommandLine, formatHelp, UsageError } = require('../osm.js');
+
+const usageError = (argv, message) =>
+  assert.throws(
+    () => parseCommandLine(argv),
+    (err) => err instanceof UsageError && message.test(err.message),
+  );
+
+test('bare countries import, as before subcommands', () => {
+  assert.deepEqual(parseCommandLine(['US', 'GB', '--force']), {
+    command: 'import',
+    countries: ['US', 'GB'],
+    flags: { force: true },
+  });
+  assert.deepEqual(parseCommandLine([]), {
+    command: 'import',
+    countries: [],
+    flags: {},
+  });
+});
+
+test('subcommands with flag values in both spellings', () => {
+  assert.deepEqual(parseCommandLine(['status', 'DE', '--max-level', '6']), {
+    command: 'status',
+    countries: ['DE'],
+    flags: { 'max-level': 6 },
+  });
+  assert.deepEqual(
+    parseCommandLine(['verify', 'DE', '--repair', '--report=de.json']),
+    {
+      command: 'verify',
+      countries: ['DE'],
+      flags: { repair: true, report: 'de.json' },
+    },
+  );
+  assert.deepEqual(
+    parseCommandLine(['import', '--config', 'prod.json']).flags,
+    { config: 'prod.json' },
+  );
+  assert.deepEqual(
+    parseCommandLine(['export', 'DE', '--format=csv,ndjson,csv']).flags,
+    { format: ['csv', 'ndjson'] },
+  );
+});
+
+test('help for the tool or a command', () => {
+  assert.equal(parseCommandLine(['--help']).command, null);
+  assert.equal(parseCommandLine(['-h']).flags.help, true);
+  assert.equal(parseCommandLine(['help', 'purge']).command, 'purge');
+  assert.equal(parseCommandLine(['export', '--help']).command, 'export');
+  usageError(['help', 'nope'], /Unknown command "nope"/);
+});
+
+test('rejects unknown options and bad values', () => {
+  usageError(['--bogus'], /Unknown option --bogus/);
+  usageError(['--force=yes'], /--force takes no value/);
+  usageError(['export', 'DE', '--output'], /--output needs a value/);
+  usageError(['status', '--max-level=12'], /admin level from 2 to 11/);
+  usageError(['status', '--min-level=x'], /admin level from 2 to 11/);
+  usageError(['import', '--concurrency=0'], /positive integer/);
+  usageError(['import', '--cache=foo'], /must be one of/);
+  usageError(['export', 'DE', '--format=shp'], /comma-separated list/);
+});
+
+test('checks options and arguments per command', () => {
+  usageError(['status', '--repair'], /status does not accept --repair/);
+  usageError(['purge'], /purge needs <country>/);
+  usageError(['purge', 'DE', 'FR'], /purge takes only <country>/);
+  usageError(['export'], /export needs/);
+  usageError(['config', 'DE'], /config takes no arguments/);
+  assert.deepEqual(parseCommandLine(['config', '--config', 'prod.yaml']), {
+    command: 'config',
+    countries: [],
+    flags: { config: 'prod.yaml' },
+  });
+});
+
+test('rejects conflicting options', () => {
+  usageError(['status', '--min-level=8', '--max-level=4'], /greater than/);
+  usageError(['import', '--force', '--update'], /cannot be combined/);
+  usageError(
+    ['import', '--daemon', '--concurrency=2'],
+    /one country at a time/,
+  );
+});
+
+test('import help explains the missing --min-level', () => {
+  usageError(['import', '--min-level=4'], /import does not accept --min-level/);
+  assert.match(formatHelp('import'), /there is no --min-level/);
+});
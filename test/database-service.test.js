@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { DatabaseService, Config } = require('../osm.js');
+
+/**
+ * DatabaseService over a fake connection whose nth query fails
+ */
+function failingService(failOn) {
+  const service = new DatabaseService(Config);
+  service.queries = 0;
+  service.db = {
+    query: async (query) => {
+      if (++service.queries === failOn) throw new Error('write conflict');
+      const [chunk] = Object.values(query.bindVars).filter(Array.isArray);
+      return { all: async () => chunk };
+    },
+  };
+  return service;
+}
+
+const docs = (count) =>
+  Array.from({ length: count }, (_, i) => ({ osm_id: String(i) }));
+
+test('a failed boundary chunk rejects instead of returning gaps', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  const service = failingService(2);
+
+  const batchSize = Config.processing.batchSize;
+  await assert.rejects(
+    service.upsertBoundaries(docs(batchSize + 1)),
+    /write conflict/,
+  );
+  assert.equal(service.queries, 2);
+});
+
+test('a failed edge chunk rejects instead of being counted', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  const service = failingService(1);
+
+  await assert.rejects(
+    service.upsertEdges([{ _from: 'a/1', _to: 'a/2' }]),
+    /write conflict/,
+  );
+});
+
+test('successful chunks return every stored doc in order', async () => {
+  const service = failingService(0);
+  const batchSize = Config.processing.batchSize;
+
+  const saved = await service.upsertBoundaries(docs(batchSize + 2));
+  assert.equal(saved.length, batchSize + 2);
+  assert.equal(saved[batchSize + 1].osm_id, String(batchSize + 1));
+});
+
+test('refreshDescendantPaths rebuilds paths below the moved roots', async () => {
+  const service = new DatabaseService(Config);
+  const named = (name) => ({ name, isArangoCollection: true });
+  service.collections = {
+    [Config.collections.ADMIN_BOUNDARIES]: named('adminBoundaries'),
+    [Config.collections.ADMIN_BOUNDARY_EDGES]: named('adminBoundaryEdges'),
+  };
+  const queries = [];
+  service.db = { query: async (query) => queries.push(query) };
+
+  await service.refreshDescendantPaths([]);
+  assert.equal(queries.length, 0);
+
+  const steps = [];
+  await service.refreshDescendantPaths(['adminBoundaries/600'], {
+    step: (request) => {
+      steps.push(request);
+      return request();
+    },
+  });
+
+  assert.equal(steps.length, 1);
+  const [{ query, bindVars }] = queries;
+  assert.ok(
+    Object.values(bindVars).some((v) => v[0] === 'adminBoundaries/600'),
+  );
+  const text = query.replace(/\s+/g, ' ');
+  // Paths are rebuilt from the root's new path plus each kept segment
+  assert.match(text, /FOR v, e, p IN 1\.\.64 OUTBOUND root @@value\d/);
+  assert.match(
+    text,
+    /ancestor_ids: APPEND\(root\.ancestor_ids \|\| \[\], above\[\*\]\._id\)/,
+  );
+  assert.match(text, /path: CONCAT_SEPARATOR\('\/', root\.path, segments\)/);
+});
@@ -0,0 +1,169 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { CountryExporter, Config } = require('../osm.js');
+
+const GERMANY = {
+  countryId: 'countryMetadata/DE',
+  iso2: 'DE',
+  name: 'Germany',
+};
+
+// Depth-first rows as streamCountryHierarchy returns them; level 6 is left
+// out, as with --min-level / --max-level, so level 8 sits at depth 3
+const ROWS = [
+  {
+    depth: 0,
+    parent_osm_id: null,
+    doc: {
+      _id: 'adminBoundaries/1',
+      _key: '1',
+      osm_id: '51477',
+      name: 'Deutschland',
+      admin_level: 2,
+      iso_code: 'DE',
+      wikidata: 'Q183',
+      countryId: GERMANY.countryId,
+      ancestor_ids: [],
+      member_hash: '9f86d081884c7d65',
+      geometry: { type: 'Point', coordinates: [10, 51] },
+      bbox: [5, 47, 15, 55],
+    },
+  },
+  {
+    depth: 1,
+    parent_osm_id: '51477',
+    doc: { osm_id: '2145268', name: 'Bayern, "Freistaat"', admin_level: 4 },
+  },
+  {
+    depth: 3,
+    parent_osm_id: '62428',
+    doc: { osm_id: '62428', name: 'München', admin_level: 8 },
+  },
+  {
+    depth: 1,
+    parent_osm_id: '51477',
+    doc: { osm_id: '62422', name: 'Berlin', admin_level: 4 },
+  },
+];
+
+function fakeDb(rows, calls = []) {
+  return {
+    streamCountryHierarchy: async (countryId, options) => {
+      calls.push({ countryId, options });
+      return (async function* () {
+        yield* rows;
+      })();
+    },
+  };
+}
+
+async function exportTo(rows, options) {
+  const output = await fs.promises.mkdtemp(
+    path.join(os.tmpdir(), 'osm-export-'),
+  );
+  const calls = [];
+  const count = await new CountryExporter(
+    Config,
+    fakeDb(rows, calls),
+  ).exportCountry(GERMANY, { output, ...options });
+  const files = Object.fromEntries(
+    (await fs.promises.readdir(output)).map((name) => [
+      name,
+      fs.readFileSync(path.join(output, name), 'utf8'),
+    ]),
+  );
+  await fs.promises.rm(output, { recursive: true, force: true });
+  return { count, files, calls };
+}
+
+test('writes a nested tree, attaching rows to their nearest exported ancestor', async () => {
+  const { count, files, calls } = await exportTo(ROWS, { formats: ['tree'] });
+
+  assert.equal(count, 4);
+  assert.deepEqual(Object.keys(files), ['DE.tree.json']);
+  assert.equal(calls[0].options.geometry, false);
+
+  const tree = JSON.parse(files['DE.tree.json']);
+  assert.equal(tree.iso2, 'DE');
+  const [germany] = tree.children;
+  assert.equal(germany.osm_id, '51477');
+  assert.deepEqual(
+    germany.children.map((c) => [c.name, c.children.map((g) => g.name)]),
+    [
+      ['Bayern, "Freistaat"', ['München']],
+      ['Berlin', []],
+    ],
+  );
+});
+
+test('writes CSV with quoting and GeoJSON without database fields', async () => {
+  const { files, calls } = await exportTo(ROWS, {
+    formats: ['csv', 'geojson', 'ndjson'],
+  });
+  assert.equal(calls[0].options.geometry, true);
+
+  assert.deepEqual(files['DE.csv'].trim().split('\n'), [
+    'osm_id,name,admin_level,parent_osm_id,iso_code,wikidata',
+    '51477,Deutschland,2,,DE,Q183',
+    '2145268,"Bayern, ""Freistaat""",4,51477,,',
+    '62428,München,8,62428,,',
+    '62422,Berlin,4,51477,,',
+  ]);
+
+  const collection = JSON.parse(files['DE.geojson']);
+  assert.equal(collection.type, 'FeatureCollection');
+  assert.equal(collection.features.length, 4);
+  const [country, bayern] = collection.features;
+  assert.deepEqual(country.geometry, { type: 'Point', coordinates: [10, 51] });
+  assert.deepEqual(country.bbox, [5, 47, 15, 55]);
+  assert.deepEqual(country.properties, {
+    osm_id: '51477',
+    name: 'Deutschland',
+    admin_level: 2,
+    iso_code: 'DE',
+    wikidata: 'Q183',
+    parent_osm_id: null,
+    depth: 0,
+  });
+  assert.equal(bayern.geometry, null);
+
+  const lines = files['DE.ndjson'].trim().split('\n').map(JSON.parse);
+  assert.deepEqual(lines, collection.features);
+});
+
+test('leaves no files for a country without boundaries', async () => {
+  const { count, files } = await exportTo([], { formats: ['tree', 'csv'] });
+  assert.equal(count, 0);
+  assert.deepEqual(files, {});
+});
+
+test('a failing output stream rejects the export and leaves no files', async (t) => {
+  const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'osm-export-'));
+  t.after(() => fs.promises.rm(dir, { recursive: true, force: true }));
+  // A file where the output directory should be: opening fails with ENOTDIR
+  const output = path.join(dir, 'not-a-directory');
+  await fs.promises.writeFile(output, '');
+
+  const exporter = new CountryExporter(Config, fakeDb(ROWS));
+  await assert.rejects(
+    exporter.exportCountry(GERMANY, { output, formats: ['csv'] }),
+    { code: 'ENOTDIR' },
+  );
+
+  // Enough rows to fill the stream buffer and wait for 'drain'
+  const many = Array.from({ length: 2000 }, (_, i) => ({
+    ...ROWS[1],
+    doc: { ...ROWS[1].doc, osm_id: String(i), name: 'x'.repeat(100) },
+  }));
+  await assert.rejects(
+    new CountryExporter(Config, fakeDb(many)).exportCountry(GERMANY, {
+      output,
+      formats: ['csv', 'ndjson'],
+    }),
+    { code: 'ENOTDIR' },
+  );
+  assert.deepEqual(await fs.promises.readdir(dir), ['not-a-directory']);
+});
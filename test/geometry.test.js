@@ -0,0 +1,111 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { GeometryBuilder } = require('../osm.js');
+
+const way = (role, ...points) => ({
+  type: 'way',
+  role,
+  geometry: points.map(([lon, lat]) => ({ lon, lat })),
+});
+
+test('fromRelation joins outer way segments into a closed polygon', () => {
+  const shape = new GeometryBuilder().fromRelation({
+    id: 1,
+    members: [
+      way('outer', [0, 0], [1, 0], [1, 1]),
+      way('outer', [1, 1], [0, 1], [0, 0]),
+    ],
+  });
+
+  assert.equal(shape.geometry.type, 'Polygon');
+  assert.equal(shape.geometry.coordinates[0].length, 5);
+  assert.deepEqual(shape.bbox, [0, 0, 1, 1]);
+  assert.equal(shape.centroid.type, 'Point');
+  assert.ok(Math.abs(shape.centroid.coordinates[0] - 0.5) < 1e-6);
+  assert.ok(Math.abs(shape.centroid.coordinates[1] - 0.5) < 1e-6);
+  // One degree square at the equator is roughly 12 300 km²
+  assert.ok(shape.area_km2 > 12000 && shape.area_km2 < 12500);
+});
+
+test('fromRelation keeps inner rings as holes', () => {
+  const shape = new GeometryBuilder().fromRelation({
+    id: 1,
+    members: [
+      way('outer', [0, 0], [4, 0], [4, 4], [0, 4], [0, 0]),
+      way('inner', [1, 1], [2, 1], [2, 2], [1, 2], [1, 1]),
+    ],
+  });
+
+  assert.equal(shape.geometry.type, 'Polygon');
+  assert.equal(shape.geometry.coordinates.length, 2);
+});
+
+test('fromRelation returns null without a closed outer ring', () => {
+  const geometry = new GeometryBuilder();
+  const warn = console.warn;
+  console.warn = () => {};
+  try {
+    assert.equal(
+      geometry.fromRelation({
+        id: 1,
+        members: [way('outer', [0, 0], [1, 0], [1, 1])],
+      }),
+      null,
+    );
+  } finally {
+    console.warn = warn;
+  }
+  assert.equal(geometry.fromRelation({ id: 2 }), null);
+});
+
+test('containsPoint and isWithin', () => {
+  const geometry = new GeometryBuilder();
+  const square = (x, y, size) =>
+    geometry.fromRelation({
+      id: 1,
+      members: [
+        way(
+          'outer',
+          [x, y],
+          [x + size, y],
+          [x + size, y + size],
+          [x, y + size],
+          [x, y],
+        ),
+      ],
+    });
+  const parent = square(0, 0, 4);
+
+  assert.equal(geometry.containsPoint(parent.geometry, [1, 1]), true);
+  assert.equal(geometry.containsPoint(parent.geometry, [5, 1]), false);
+  assert.equal(geometry.isWithin(square(1, 1, 1), parent), true);
+  assert.equal(geometry.isWithin(square(10, 10, 1), parent), false);
+});
+
+test('lineLength measures along the great circle', () => {
+  const geometry = new GeometryBuilder();
+  // One degree of latitude is about 111 km, and so is one of longitude at
+  // the equator; at 60° north a degree of longitude is half that
+  const meridian = geometry.lineLength([
+    [0, 0],
+    [0, 1],
+  ]);
+  assert.ok(meridian > 110000 && meridian < 112000, `got ${meridian}`);
+  const north = geometry.lineLength([
+    [0, 60],
+    [1, 60],
+  ]);
+  assert.ok(Math.abs(north - meridian / 2) < 500, `got ${north}`);
+
+  // Segments add up
+  assert.equal(
+    geometry.lineLength([
+      [0, 0],
+      [0, 1],
+      [0, 2],
+    ]),
+    2 * meridian,
+  );
+  assert.equal(geometry.lineLength([[0, 0]]), 0);
+  assert.equal(geometry.lineLength([]), 0);
+});
@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { HierarchyVerifier, Config } = require('../osm.js');
+
+const DE = 'countryMetadata/DE';
+const AT = 'countryMetadata/AT';
+
+const boundary = (key, countryId, parent, ancestors = []) => ({
+  _id: `adminBoundaries/${key}`,
+  osm_id: key,
+  name: `Boundary ${key}`,
+  admin_level: 2 + 2 * ancestors.length,
+  countryId,
+  parent_id: parent ? `adminBoundaries/${parent}` : null,
+  ancestor_ids: ancestors.map((a) => `adminBoundaries/${a}`),
+});
+
+const edgesFor = (docs) =>
+  docs
+    .filter((doc) => doc.parent_id)
+    .map((doc) => ({
+      _id: `adminBoundaryEdges/${doc.osm_id}`,
+      _from: doc.parent_id,
+      _to: doc._id,
+    }));
+
+test('reports boundaries whose ancestors were taken over by another country', () => {
+  const docs = [
+    boundary('1', DE, null),
+    boundary('2', DE, '1', ['1']),
+    // Child of 3, which a later import of Austria re-homed
+    boundary('4', DE, '3', ['1', '3']),
+  ];
+  const known = new Map(docs.map((doc) => [doc._id, doc]));
+  const taken = boundary('3', AT, '9', ['9']);
+  known.set(taken._id, taken);
+
+  const issues = new HierarchyVerifier(Config, {}).findIssues(
+    docs,
+    edgesFor(docs),
+    known,
+  );
+
+  assert.deepEqual(issues.cross_country, [
+    {
+      _id: 'adminBoundaries/4',
+      osm_id: '4',
+      name: 'Boundary 4',
+      admin_level: 6,
+      countries: [AT],
+      ancestors: ['adminBoundaries/3'],
+    },
+  ]);
+  assert.deepEqual(issues.orphans, []);
+});
+
+test('a consistent country has no issues', () => {
+  const docs = [
+    boundary('1', DE, null),
+    boundary('2', DE, '1', ['1']),
+    boundary('4', DE, '2', ['1', '2']),
+  ];
+  const verifier = new HierarchyVerifier(Config, {});
+  const issues = verifier.findIssues(
+    docs,
+    edgesFor(docs),
+    new Map(docs.map((doc) => [doc._id, doc])),
+  );
+  assert.equal(verifier.countIssues(issues), 0);
+});
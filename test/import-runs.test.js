@@ -0,0 +1,124 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  BoundaryImporter,
+  DatabaseService,
+  IterativeProcessor,
+  Config,
+} = require('../osm.js');
+
+const GERMANY = {
+  countryId: 'countryMetadata/DE',
+  iso2: 'DE',
+  name: 'Germany',
+};
+
+test('each country import is recorded as its own outcome document', async () => {
+  const saved = [];
+  const importer = new BoundaryImporter();
+  importer.runKey = 'run-1';
+  importer.db = {
+    getCountryStats: async () => ({ levelStats: { 2: 1, 4: 16 } }),
+    recordImportRunCountry: async (runKey, outcome) =>
+      saved.push({ runKey, ...outcome }),
+  };
+
+  const result = { errors: [], changes: null, duration: 10 };
+  await importer.recordOutcome(GERMANY, result);
+  await importer.recordOutcome(GERMANY, { ...result, errors: ['timeout'] });
+
+  assert.deepEqual(
+    saved.map(({ runKey, countryId, outcome, boundaries }) => ({
+      runKey,
+      countryId,
+      outcome,
+      boundaries,
+    })),
+    [
+      {
+        runKey: 'run-1',
+        countryId: GERMANY.countryId,
+        outcome: 'processed',
+        boundaries: 17,
+      },
+      {
+        runKey: 'run-1',
+        countryId: GERMANY.countryId,
+        outcome: 'failed',
+        boundaries: 17,
+      },
+    ],
+  );
+});
+
+test('a failed outcome write does not fail the import', async () => {
+  const importer = new BoundaryImporter();
+  importer.runKey = 'run-1';
+  importer.db = {
+    getCountryStats: async () => ({ levelStats: {} }),
+    recordImportRunCountry: async () => {
+      throw new Error('connection reset');
+    },
+  };
+  const error = console.error;
+  const logged = [];
+  console.error = (message) => logged.push(message);
+  try {
+    await importer.recordOutcome(GERMANY, { errors: [] });
+  } finally {
+    console.error = error;
+  }
+  assert.match(logged[0], /Could not record Germany in import run/);
+});
+
+test('outcomes are saved as documents of the run', async () => {
+  const service = new DatabaseService(Config);
+  const saved = [];
+  service.collections = {
+    [Config.collections.IMPORT_RUN_COUNTRIES]: {
+      save: async (doc) => saved.push(doc),
+    },
+  };
+  await service.recordImportRunCountry('run-1', { countryId: 'c/DE' });
+  await service.recordImportRunCountry('run-1', { countryId: 'c/FR' });
+  assert.deepEqual(saved, [
+    { countryId: 'c/DE', run: 'run-1' },
+    { countryId: 'c/FR', run: 'run-1' },
+  ]);
+});
+
+test('a failed adjacency pass makes the import partial, not failed', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'error', () => {});
+  const processor = new IterativeProcessor(Config, {}, {});
+  processor.adjacency = {
+    buildCountry: async () => {
+      throw new Error('way query timed out');
+    },
+  };
+  const stats = { errors: [], warnings: [] };
+  await processor.linkAdjacentBoundaries(GERMANY.countryId, stats);
+  assert.deepEqual(stats.errors, []);
+  assert.deepEqual(stats.warnings, ['Adjacency: way query timed out']);
+
+  const saved = [];
+  const importer = new BoundaryImporter();
+  importer.runKey = 'run-1';
+  importer.db = {
+    getCountryStats: async () => ({ levelStats: { 2: 1 } }),
+    recordImportRunCountry: async (runKey, outcome) => saved.push(outcome),
+  };
+  await importer.processAndRecord(GERMANY, {
+    processCountry: async () => ({
+      ...stats,
+      boundaries: 1,
+      relationships: 0,
+      duration: 5,
+    }),
+  });
+
+  assert.equal(saved[0].outcome, 'partial');
+  assert.deepEqual(saved[0].warnings, ['Adjacency: way query timed out']);
+  assert.equal(importer.statistics.totals.failed, 0);
+  assert.equal(importer.statistics.totals.warnings, 1);
+});
@@ -0,0 +1,801 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { IterativeProcessor, LevelProfiles, Config } = require('../osm.js');
+
+const relation = (id) => ({ type: 'relation', id, tags: {}, members: [] });
+
+// Relation whose outer ring is the square [x, y] .. [x + size, y + size]
+const square = (id, x, y, size) => ({
+  type: 'relation',
+  id,
+  tags: {},
+  members: [
+    {
+      type: 'way',
+      role: 'outer',
+      geometry: [
+        [x, y],
+        [x + size, y],
+        [x + size, y + size],
+        [x, y + size],
+        [x, y],
+      ].map(([lon, lat]) => ({ lon, lat })),
+    },
+  ],
+});
+
+// Fake DatabaseService that hands out `_id`s and records parent edges
+function recordingDb() {
+  const edges = [];
+  return {
+    edges,
+    upsertBoundaries: async (docs) =>
+      docs.map((doc) => ({ ...doc, _id: `adminBoundaries/${doc.osm_id}` })),
+    upsertEdges: async (batch) => edges.push(...batch),
+    removeStaleParentEdges: async () => {},
+    saveImportJob: async () => {},
+  };
+}
+
+test('an interrupted import resumes from its saved frontier', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'error', () => {});
+
+  const country = { countryId: 'countryMetadata/DE', iso2: 'DE', name: 'DE' };
+  // 1 (level 2) -> 10, 11 (level 4) -> 100 under 10, 110 under 11 (level 6)
+  const tree = { 1: { 4: [10, 11] }, 10: { 6: [100] }, 11: { 6: [110] } };
+  let crashOn = '110';
+  const jobs = new Map();
+  const stored = new Map();
+  const db = {
+    collections: {},
+    isCountryProcessed: async () => false,
+    getImportJob: async (countryId) => jobs.get(countryId) || null,
+    saveImportJob: async (countryId, fields) => {
+      jobs.set(countryId, { ...jobs.get(countryId), ...fields });
+    },
+    getCountryStats: async () => ({ total: stored.size, levelStats: {} }),
+    upsertBoundaries: async (docs) =>
+      docs.map((doc) => {
+        if (doc.osm_id === crashOn) throw new Error('connection lost');
+        const saved = { ...doc, _id: `adminBoundaries/${doc.osm_id}` };
+        stored.set(doc.osm_id, saved);
+        return saved;
+      }),
+    upsertEdges: async () => {},
+    removeStaleParentEdges: async () => {},
+    cleanupStaging: async () => 0,
+    swapStagedCountry: async () => null,
+    // restoreFrontier loads the frontier's boundaries by osm_id
+    getBoundariesByOsmId: async (osmIds) =>
+      new Map(osmIds.map((osmId) => [osmId, stored.get(osmId)])),
+  };
+  const fetches = [];
+  const osm = {
+    sleep: async () => {},
+    fetchCountryBoundary: async () => relation(1),
+    fetchNextLevel: async (parent, level) => {
+      fetches.push(`${parent.id}@${level}`);
+      return (tree[parent.id]?.[level] || []).map(relation);
+    },
+  };
+  const config = {
+    ...Config,
+    processing: {
+      ...Config.processing,
+      maxAdminLevel: 6,
+      checkpointInterval: 1,
+      batchLevelQueries: false,
+      hierarchyStrategy: 'spatial',
+    },
+  };
+
+  const processor = new IterativeProcessor(config, db, osm);
+  processor.countRelationships = async () => 0;
+
+  const first = await processor.processCountry(country);
+  assert.deepEqual(first.errors, ['connection lost']);
+  assert.equal(jobs.get(country.countryId).status, 'failed');
+  // 10 was fully expanded before the crash, 11 and 100 were not
+  assert.deepEqual(jobs.get(country.countryId).frontier, [
+    { osm_id: '11', admin_level: 4, custom_level: 1 },
+    { osm_id: '100', admin_level: 6, custom_level: 2 },
+  ]);
+
+  crashOn = null;
+  fetches.length = 0;
+  const second = await processor.processCountry(country);
+
+  assert.equal(second.resumed, true);
+  assert.deepEqual(second.errors, []);
+  // Only 11 is expanded again; 100 is already at the deepest level
+  assert.deepEqual(fetches, ['11@5', '11@6']);
+  const { admin_level, custom_level, parent_id } = stored.get('110');
+  assert.deepEqual(
+    { admin_level, custom_level, parent_id },
+    { admin_level: 6, custom_level: 2, parent_id: 'adminBoundaries/11' },
+  );
+  assert.equal(jobs.get(country.countryId).status, 'complete');
+  assert.deepEqual(jobs.get(country.countryId).frontier, []);
+});
+
+test('batched level queries keep each child under its own parent', async (t) => {
+  t.mock.method(console, 'log', () => {});
+
+  // 10 has children at level 6, 11 only at level 8, 12 has none
+  const tree = { 10: { 6: [100, 101] }, 11: { 8: [110] } };
+  const batches = [];
+  const osm = {
+    sleep: async () => {},
+    fetchNextLevelBatch: async (parents, level) => {
+      batches.push([parents.map((p) => p.id), level]);
+      return new Map(
+        parents.map((p) => [
+          String(p.id),
+          (tree[p.id]?.[level] || []).map(relation),
+        ]),
+      );
+    },
+  };
+  const db = recordingDb();
+  const config = {
+    ...Config,
+    processing: { ...Config.processing, maxAdminLevel: 8 },
+  };
+  const processor = new IterativeProcessor(config, db, osm);
+  const country = { countryId: 'countryMetadata/DE', iso2: 'DE' };
+  const parent = (id) => ({
+    boundary: relation(id),
+    doc: { _id: `adminBoundaries/${id}`, osm_id: String(id) },
+    admin_level: 4,
+    custom_level: 1,
+  });
+  const stats = { errors: [], levelStats: {} };
+  const next = [];
+
+  await processor.expandLevelBatched(
+    [parent(10), parent(11), parent(12)],
+    country,
+    stats,
+    next,
+  );
+  await processor.flushWrites(stats);
+
+  assert.deepEqual(batches, [
+    [[10, 11, 12], 5],
+    [[10, 11, 12], 6],
+    [[11, 12], 7],
+    [[11, 12], 8],
+  ]);
+  assert.deepEqual(
+    next.map((entry) => [
+      entry.doc.osm_id,
+      entry.doc.parent_id,
+      entry.admin_level,
+      entry.custom_level,
+    ]),
+    [
+      ['100', 'adminBoundaries/10', 6, 2],
+      ['101', 'adminBoundaries/10', 6, 2],
+      ['110', 'adminBoundaries/11', 8, 2],
+    ],
+  );
+});
+
+test('attachToDeepestAncestors skips levels missing under a parent', async (t) => {
+  t.mock.method(console, 'log', () => {});
+
+  const db = recordingDb();
+  const processor = new IterativeProcessor(Config, db, {});
+  const country = { countryId: 'countryMetadata/XX', iso2: 'XX' };
+  const root = {
+    boundary: square(1, 0, 0, 20),
+    doc: { _id: 'adminBoundaries/1', osm_id: '1' },
+    admin_level: 2,
+    custom_level: 0,
+  };
+  const stats = { errors: [], levelStats: {} };
+
+  await processor.attachToDeepestAncestors(
+    root,
+    [
+      // Level 4 only covers part of the country
+      { adminLevel: 4, elements: [square(40, 0, 0, 8)] },
+      // 60 lies inside 40, 61 where level 4 has nothing
+      { adminLevel: 6, elements: [square(60, 1, 1, 4), square(61, 12, 12, 4)] },
+      // 80 lies inside 60; 81 inside 61
+      { adminLevel: 8, elements: [square(80, 2, 2, 1), square(81, 13, 13, 1)] },
+    ],
+    country,
+    stats,
+  );
+
+  assert.deepEqual(
+    db.edges.map((edge) => [edge._from, edge._to]),
+    [
+      ['adminBoundaries/1', 'adminBoundaries/40'],
+      ['adminBoundaries/40', 'adminBoundaries/60'],
+      ['adminBoundaries/1', 'adminBoundaries/61'],
+      ['adminBoundaries/60', 'adminBoundaries/80'],
+      ['adminBoundaries/61', 'adminBoundaries/81'],
+    ],
+  );
+  assert.deepEqual(stats.levelStats, { 4: 1, 6: 2, 8: 2 });
+});
+
+test('findDeepestAncestor prefers deeper, then smaller containing shapes', () => {
+  const processor = new IterativeProcessor(Config, {}, {});
+  const placed = (id, adminLevel, x, y, size) => ({
+    entry: { admin_level: adminLevel, doc: { osm_id: String(id) } },
+    shape: processor.geometry.fromRelation(square(id, x, y, size)),
+  });
+  const shape = processor.geometry.fromRelation(square(9, 2, 2, 1));
+  const candidates = [
+    placed(4, 4, 0, 0, 10),
+    placed(5, 6, 0, 0, 8),
+    placed(6, 6, 1, 1, 4),
+    placed(7, 8, 50, 50, 1),
+  ];
+
+  assert.equal(
+    processor.findDeepestAncestor(shape, candidates).entry.doc.osm_id,
+    '6',
+  );
+  assert.equal(
+    processor.findDeepestAncestor(shape, candidates.slice(0, 1)).entry.doc
+      .osm_id,
+    '4',
+  );
+  assert.equal(processor.findDeepestAncestor(shape, candidates.slice(3)), null);
+});
+
+test('fetchSubareaChildren skips dangling and untagged subarea refs', async () => {
+  const subarea = (ref) => ({ type: 'relation', ref, role: 'subarea' });
+  const osm = {
+    // 102 is missing from the response and 103 has no tags
+    fetchRelationsById: async () => [
+      {
+        ...relation(101),
+        tags: { boundary: 'administrative', admin_level: '4' },
+      },
+      { type: 'relation', id: 103, members: [] },
+      { ...relation(104), tags: { boundary: 'political', admin_level: '4' } },
+    ],
+  };
+  const processor = new IterativeProcessor(Config, {}, osm);
+  const parent = {
+    admin_level: 2,
+    boundary: {
+      id: 100,
+      members: [subarea(101), subarea(102), subarea(103), subarea(104)],
+    },
+  };
+
+  const children = await processor.fetchSubareaChildren([parent]);
+  assert.deepEqual(
+    children.get(parent).map((element) => element.id),
+    [101],
+  );
+});
+
+test('deepest-ancestor placement rejects subarea hierarchy strategies', () => {
+  const withStrategies = (levelStrategy, hierarchyStrategy) => ({
+    ...Config,
+    processing: { ...Config.processing, levelStrategy, hierarchyStrategy },
+  });
+
+  for (const hierarchyStrategy of ['subarea', 'both']) {
+    assert.throws(
+      () =>
+        new IterativeProcessor(
+          withStrategies('deepest-ancestor', hierarchyStrategy),
+          {},
+          {},
+        ),
+      /needs hierarchyStrategy 'spatial'/,
+    );
+    assert.doesNotThrow(
+      () =>
+        new IterativeProcessor(
+          withStrategies('per-level', hierarchyStrategy),
+          {},
+          {},
+        ),
+    );
+  }
+  assert.doesNotThrow(
+    () =>
+      new IterativeProcessor(
+        withStrategies('deepest-ancestor', 'spatial'),
+        {},
+        {},
+      ),
+  );
+});
+
+test('moving a border way marks the boundary modified', () => {
+  const processor = new IterativeProcessor(Config, {}, {});
+  const country = { countryId: 'countryMetadata/DE', iso2: 'DE' };
+  const docWith = (lat) =>
+    processor.buildBoundaryDoc(
+      {
+        type: 'relation',
+        id: 400,
+        version: 7,
+        tags: { boundary: 'administrative', admin_level: '4', name: 'Bayern' },
+        members: [
+          {
+            type: 'way',
+            ref: 1,
+            role: 'outer',
+            geometry: [
+              { lat: 48, lon: 11 },
+              { lat, lon: 12 },
+            ],
+          },
+        ],
+      },
+      country,
+      null,
+      4,
+      1,
+    );
+  const stored = docWith(49);
+
+  assert.equal(processor.diffBoundary(stored, docWith(49)).modified, false);
+  assert.equal(processor.diffBoundary(stored, docWith(49.5)).modified, true);
+  // Stored before member hashes existed
+  const legacy = { ...stored, member_hash: undefined };
+  assert.equal(processor.diffBoundary(legacy, docWith(49)).modified, true);
+});
+
+test('the deletion sweep only covers the levels a complete run walked', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const sweeps = [];
+  const db = {
+    sweepDeletedBoundaries: async (countryId, seenOsmIds, mode, options) => {
+      sweeps.push(options);
+      return 0;
+    },
+  };
+  const config = {
+    ...Config,
+    processing: { ...Config.processing, maxAdminLevel: 6 },
+  };
+  const processor = new IterativeProcessor(config, db, {});
+  processor.updateMode = true;
+  processor.changes = { removed: 0 };
+
+  await processor.publishRun('countryMetadata/DE', { errors: [] });
+  await processor.publishRun('countryMetadata/DE', {
+    errors: ['query failed'],
+  });
+  await processor.publishRun('countryMetadata/DE', {
+    errors: [],
+    resumed: true,
+  });
+
+  // A profile that stops at level 4 and skips level 3
+  const profiles = new LevelProfiles(config);
+  profiles.profiles = {
+    DE: { maxAdminLevel: 4, levels: { 3: { import: false } } },
+  };
+  processor.profile = profiles.forCountry('DE');
+  await processor.publishRun('countryMetadata/DE', { errors: [] });
+
+  // --max-level=4 keeps levels 5 and 6 out of the sweep
+  processor.profile = new LevelProfiles({
+    processing: { ...config.processing, levelCap: 4 },
+  }).forCountry('DE');
+  await processor.publishRun('countryMetadata/DE', { errors: [] });
+
+  assert.deepEqual(sweeps, [
+    { levels: [2, 3, 4, 5, 6] },
+    { levels: [2, 4] },
+    { levels: [2, 3, 4] },
+  ]);
+});
+
+test('a staged rewrite of a parent does not reparent its children', async () => {
+  const live = new Map([
+    [
+      '400',
+      {
+        _id: 'adminBoundaries/400',
+        osm_id: '400',
+        name: 'Bayern',
+        names: {},
+        osm_version: 1,
+        admin_level: 4,
+        custom_level: 1,
+        parent_id: 'adminBoundaries/2',
+        parent_osm_id: '2',
+        parent_resolution: null,
+      },
+    ],
+    [
+      '600',
+      {
+        _id: 'adminBoundaries/600',
+        osm_id: '600',
+        name: 'Oberbayern',
+        names: {},
+        osm_version: 3,
+        admin_level: 6,
+        custom_level: 2,
+        parent_id: 'adminBoundaries/400',
+        parent_osm_id: '400',
+        parent_resolution: null,
+      },
+    ],
+  ]);
+  const written = [];
+  const db = {
+    getBoundariesByOsmId: async (osmIds) =>
+      new Map(
+        osmIds.filter((id) => live.has(id)).map((id) => [id, live.get(id)]),
+      ),
+    upsertBoundaries: async (docs) => {
+      written.push(...docs.map((doc) => doc.osm_id));
+      return docs.map((doc) => ({
+        ...doc,
+        _id: `adminBoundariesStaging/${doc.osm_id}`,
+      }));
+    },
+    removeStaleParentEdges: async () => {},
+    upsertEdges: async () => {},
+  };
+  const processor = new IterativeProcessor(Config, db, {});
+  processor.updateMode = true;
+  processor.runId = 'run-1';
+  processor.changes = {
+    added: 0,
+    modified: 0,
+    reparented: 0,
+    removed: 0,
+    unchanged: 0,
+  };
+  const docOf = (osmId, fields) => ({
+    ...live.get(osmId),
+    _id: undefined,
+    parent_osm_id: undefined,
+    ...fields,
+  });
+
+  // The level-4 boundary changed and is staged under a new _id
+  const {
+    saved: [bayern],
+  } = await processor.writeBoundaries([
+    {
+      doc: docOf('400', { osm_version: 2 }),
+      parentId: 'adminBoundaries/2',
+      parentOsmId: '2',
+    },
+  ]);
+  assert.equal(bayern._id, 'adminBoundariesStaging/400');
+
+  // Its unchanged level-6 child now points at the staged parent
+  await processor.writeBoundaries([
+    {
+      doc: docOf('600', { parent_id: bayern._id }),
+      parentId: bayern._id,
+      parentOsmId: bayern.osm_id,
+    },
+  ]);
+
+  assert.deepEqual(written, ['400']);
+  assert.deepEqual(processor.changes, {
+    added: 0,
+    modified: 1,
+    reparented: 0,
+    removed: 0,
+    unchanged: 1,
+  });
+});
+
+test('a child claimed by two parents is rewritten under the larger overlap', async () => {
+  const processor = new IterativeProcessor(Config, recordingDb(), {});
+  const country = { countryId: 'countryMetadata/DE', iso2: 'DE', name: 'DE' };
+  const parentEntry = (element, name) => ({
+    boundary: element,
+    doc: {
+      _id: `adminBoundaries/${element.id}`,
+      osm_id: String(element.id),
+      name,
+    },
+    admin_level: 4,
+    custom_level: 1,
+  });
+  const west = parentEntry(square(10, 0, 0, 4), 'West');
+  const east = parentEntry(square(11, 4, 0, 4), 'East');
+  // Three quarters of the child lie in West
+  const child = square(100, 2.5, 1, 2);
+
+  const [entry] = await processor.queueChildBoundaries(
+    [child],
+    country,
+    east,
+    6,
+    2,
+    { levelStats: {} },
+  );
+  const again = await processor.queueChildBoundaries(
+    [child],
+    country,
+    west,
+    6,
+    2,
+    { levelStats: {} },
+  );
+
+  assert.deepEqual(again, []);
+  const pending = processor.writeBuffer.get('100');
+  assert.equal(pending.entry, entry);
+  assert.equal(pending.parentId, 'adminBoundaries/10');
+  assert.equal(pending.replacesParent, true);
+  assert.equal(pending.doc.parent_id, 'adminBoundaries/10');
+  const { resolved_by, ambiguous, candidates } = pending.doc.parent_resolution;
+  assert.equal(resolved_by, 'overlap');
+  assert.equal(ambiguous, false);
+  // Overlap is estimated on a sample grid, so only roughly 3/4 and 1/4
+  assert.deepEqual(
+    candidates.map((c) => c.osm_id),
+    ['10', '11'],
+  );
+  assert.ok(candidates[0].overlap > 0.6 && candidates[1].overlap < 0.4);
+});
+
+test('compareEvidence ranks membership, tags and overlap, then breaks ties by osm_id', () => {
+  const processor = new IterativeProcessor(Config, {}, {});
+  const evidence = (osm_id, fields = {}) => ({
+    osm_id,
+    admin_level: 4,
+    subarea: false,
+    tag_match: false,
+    overlap: 0.5,
+    ...fields,
+  });
+  const rank = (list) =>
+    [...list]
+      .sort((a, b) => processor.compareEvidence(a, b))
+      .map((e) => e.osm_id);
+
+  assert.deepEqual(
+    rank([
+      evidence('1', { overlap: 0.9 }),
+      evidence('2', { tag_match: true, overlap: 0.1 }),
+      evidence('3', { subarea: true, overlap: 0.1 }),
+      evidence('4', { overlap: null }),
+      evidence('5', { admin_level: 6 }),
+    ]),
+    ['3', '2', '1', '5', '4'],
+  );
+  // Identical evidence: the same winner whatever the traversal order
+  const tied = [evidence('20'), evidence('7'), evidence('13')];
+  assert.deepEqual(rank(tied), ['7', '13', '20']);
+  assert.deepEqual(rank(tied.reverse()), ['7', '13', '20']);
+});
+
+test('describeResolution flags ties, slim leads and overruled overlaps', () => {
+  const processor = new IterativeProcessor(Config, {}, {});
+  const describe = (...candidates) =>
+    processor.describeResolution(
+      candidates.map((fields, i) => ({
+        evidence: {
+          osm_id: String(i + 1),
+          admin_level: 4,
+          subarea: false,
+          tag_match: false,
+          overlap: null,
+          ...fields,
+        },
+      })),
+    );
+
+  assert.deepEqual(
+    [describe({}, {})].map((r) => [r.resolved_by, r.ambiguous]),
+    [['osm_id', true]],
+  );
+  const clear = describe({ overlap: 0.8 }, { overlap: 0.2 });
+  assert.equal(clear.resolved_by, 'overlap');
+  assert.equal(clear.ambiguous, false);
+  assert.equal(clear.candidates.length, 2);
+
+  const slim = describe({ overlap: 0.55 }, { overlap: 0.45 });
+  assert.equal(slim.ambiguous, true);
+
+  // Membership wins, but the other parent covers far more of the child
+  const overruled = describe({ subarea: true, overlap: 0.1 }, { overlap: 0.9 });
+  assert.equal(overruled.resolved_by, 'subarea');
+  assert.equal(overruled.ambiguous, true);
+  const tags = describe({ tag_match: true, overlap: 0.5 }, { overlap: 0.5 });
+  assert.deepEqual([tags.resolved_by, tags.ambiguous], ['tags', false]);
+});
+
+test('extractNames groups multilingual name tags by kind and language', () => {
+  const processor = new IterativeProcessor(Config, {}, {});
+
+  assert.deepEqual(
+    processor.extractNames({
+      name: 'München',
+      'name:en': 'Munich',
+      'name:zh-Hant': '慕尼黑',
+      official_name: 'Landeshauptstadt München',
+      'alt_name:de': 'Minga',
+      // Not a language suffix, or not a name tag at all
+      'name:etymology:wikidata': 'Q1',
+      'name:prefix': 'Stadt',
+      'source:name': 'survey',
+      admin_level: '6',
+    }),
+    {
+      name: { default: 'München', en: 'Munich', 'zh-Hant': '慕尼黑' },
+      official_name: { default: 'Landeshauptstadt München' },
+      alt_name: { de: 'Minga' },
+    },
+  );
+  assert.deepEqual(processor.extractNames(undefined), {});
+});
+
+test('extractCodes keeps ISO and ref codes matching codeTags', () => {
+  const processor = new IterativeProcessor(Config, {}, {});
+
+  assert.deepEqual(
+    processor.extractCodes({
+      name: 'Bayern',
+      'ISO3166-2': 'DE-BY',
+      ref: 'BY',
+      'ref:nuts': 'DE2',
+      'nuts:level': '1',
+      'de:regionalschluessel': '09',
+      wikidata: 'Q980',
+    }),
+    {
+      'ISO3166-2': 'DE-BY',
+      ref: 'BY',
+      'ref:nuts': 'DE2',
+      'nuts:level': '1',
+      'de:regionalschluessel': '09',
+    },
+  );
+
+  const onlyIso = new IterativeProcessor(
+    {
+      ...Config,
+      processing: { ...Config.processing, codeTags: ['ISO3166-*'] },
+    },
+    {},
+    {},
+  );
+  assert.deepEqual(
+    onlyIso.extractCodes({ 'ISO3166-1:alpha2': 'DE', ref: 'D' }),
+    { 'ISO3166-1:alpha2': 'DE' },
+  );
+});
+
+test('displayName follows the language chain before the local name', () => {
+  const processor = new IterativeProcessor(
+    {
+      ...Config,
+      processing: { ...Config.processing, nameLanguages: ['fr', 'en'] },
+    },
+    {},
+    {},
+  );
+  const tags = { name: 'München', 'name:en': 'Munich' };
+
+  assert.equal(processor.displayName(tags, 6), 'Munich');
+  assert.equal(
+    processor.displayName({ ...tags, 'name:fr': 'Munich (FR)' }, 6),
+    'Munich (FR)',
+  );
+  assert.equal(processor.displayName({ name: 'München' }, 6), 'München');
+  assert.equal(processor.displayName({}, 8), 'Unnamed Level 8');
+});
+
+test('ancestry builds ancestor ids, depth and a unique path', () => {
+  const processor = new IterativeProcessor(Config, {}, {});
+  const country = { countryId: 'countryMetadata/US', iso2: 'US', name: 'US' };
+  const element = (id, tags) => ({ type: 'relation', id, tags });
+
+  const us = processor.ancestry(
+    element(1, { name: 'United States' }),
+    country,
+    null,
+    2,
+  );
+  assert.deepEqual(us, { ancestor_ids: [], depth: 0, path: 'US' });
+
+  const usDoc = { _id: 'adminBoundaries/1', ...us };
+  const missouri = processor.ancestry(
+    element(2, { name: 'Missouri', 'ISO3166-2': 'US-MO' }),
+    country,
+    usDoc,
+    4,
+  );
+  assert.deepEqual(missouri, {
+    ancestor_ids: ['adminBoundaries/1'],
+    depth: 1,
+    path: 'US/MO',
+  });
+
+  const moDoc = { _id: 'adminBoundaries/2', ...missouri };
+  const city = (id, name) =>
+    processor.ancestry(element(id, { name }), country, moDoc, 8).path;
+  assert.equal(city(30, 'Springfield'), 'US/MO/Springfield');
+  // A sibling of the same name, and the first one again
+  assert.equal(city(31, 'Springfield'), 'US/MO/Springfield~31');
+  assert.equal(city(30, 'Springfield'), 'US/MO/Springfield');
+  assert.equal(city(32, 'Kansas City/North'), 'US/MO/Kansas City-North');
+
+  // Under another parent the name is free
+  const ilDoc = { _id: 'adminBoundaries/3', ancestor_ids: [], path: 'US/IL' };
+  assert.equal(
+    processor.ancestry(element(40, { name: 'Springfield' }), country, ilDoc, 8)
+      .path,
+    'US/IL/Springfield',
+  );
+});
+
+test('a reparented boundary refreshes the paths below it', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const refreshed = [];
+  const old = {
+    _id: 'adminBoundaries/600',
+    osm_id: '600',
+    name: 'Oberbayern',
+    names: {},
+    osm_version: 3,
+    admin_level: 6,
+    custom_level: 2,
+    depth: 2,
+    path: 'DE/BY/Oberbayern',
+    parent_id: 'adminBoundaries/400',
+    parent_osm_id: '400',
+    parent_resolution: null,
+  };
+  const db = {
+    ...recordingDb(),
+    getBoundariesByOsmId: async () => new Map([['600', old]]),
+    refreshDescendantPaths: async (ids) => refreshed.push(...ids),
+  };
+  const processor = new IterativeProcessor(Config, db, {});
+  processor.updateMode = true;
+  processor.changes = {
+    added: 0,
+    modified: 0,
+    reparented: 0,
+    removed: 0,
+    unchanged: 0,
+  };
+
+  // Moved from Bayern (400) to Baden-Württemberg (401)
+  const doc = {
+    ...old,
+    _id: undefined,
+    parent_osm_id: undefined,
+    parent_id: 'adminBoundaries/401',
+    path: 'DE/BW/Oberbayern',
+  };
+  await processor.writeBoundaries([
+    { doc, parentId: 'adminBoundaries/401', parentOsmId: '401' },
+  ]);
+
+  assert.equal(processor.changes.reparented, 1);
+  assert.deepEqual(refreshed, ['adminBoundaries/600']);
+  assert.deepEqual(
+    db.edges.map((e) => [e._from, e._to]),
+    [['adminBoundaries/401', 'adminBoundaries/600']],
+  );
+
+  // Unchanged: nothing below needs a new path
+  refreshed.length = 0;
+  await processor.writeBoundaries([
+    {
+      doc: { ...doc, path: old.path, parent_id: old.parent_id },
+      parentId: old.parent_id,
+      parentOsmId: '400',
+    },
+  ]);
+  assert.deepEqual(refreshed, []);
+});
@@ -0,0 +1,105 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { LevelProfiles, ConfigError, Config } = require('../osm.js');
+
+const configWith = (processing) => ({
+  ...Config,
+  processing: { ...Config.processing, ...processing },
+});
+
+async function loadProfiles(profiles, processing = {}) {
+  const dir = await fs.promises.mkdtemp(
+    path.join(os.tmpdir(), 'osm-profiles-'),
+  );
+  const file = path.join(dir, 'profiles.json');
+  await fs.promises.writeFile(file, JSON.stringify(profiles));
+  const log = console.log;
+  console.log = () => {};
+  try {
+    return await new LevelProfiles(
+      configWith({ ...processing, levelProfiles: file }),
+    ).load();
+  } finally {
+    console.log = log;
+    await fs.promises.rm(dir, { recursive: true, force: true });
+  }
+}
+
+const DE = {
+  maxAdminLevel: 8,
+  levels: {
+    4: { name: 'Bundesland', custom_level: 1 },
+    5: { name: 'Regierungsbezirk', import: false },
+    6: { name: 'Kreis', custom_level: 2 },
+  },
+};
+
+test('country profile with names, skipped levels and custom levels', async () => {
+  const profiles = await loadProfiles({ DE });
+  const de = profiles.forCountry('de');
+
+  assert.equal(de.maxAdminLevel, 8);
+  assert.equal(de.levelName(4), 'Bundesland');
+  assert.equal(de.levelName(8), 'City/Municipality');
+  assert.deepEqual(de.levelsBelow(2), [3, 4, 6, 7, 8]);
+  assert.equal(de.imports(5), false);
+  assert.equal(de.customLevel(6, 9), 2);
+  assert.equal(de.customLevel(7, 3), 3);
+});
+
+test('falls back to default, then to the global settings', async () => {
+  const profiles = await loadProfiles({ default: { maxAdminLevel: 6 } });
+  assert.equal(profiles.forCountry('FR').maxAdminLevel, 6);
+  assert.equal(
+    new LevelProfiles(configWith({})).forCountry('FR').maxAdminLevel,
+    Config.processing.maxAdminLevel,
+  );
+});
+
+test('rejects invalid profiles', async () => {
+  const invalid = async (profiles, message) =>
+    assert.rejects(loadProfiles(profiles), message);
+
+  await invalid({ Germany: {} }, /"Germany" is not an ISO2 code/);
+  await invalid(
+    { DE: { maxAdminLevel: '8' } },
+    /DE.maxAdminLevel must be an integer/,
+  );
+  await invalid(
+    { DE: { levels: { x: {} } } },
+    /DE.levels.x is not an admin_level/,
+  );
+  await invalid(
+    { DE: { levels: { 4: { label: 'x' } } } },
+    /DE.levels.4 has unknown keys: label/,
+  );
+  await invalid(
+    { DE: { levels: { 4: { custom_level: 1.5 } } } },
+    /custom_level must be an integer/,
+  );
+  await invalid([], /expected an object keyed by ISO2/);
+});
+
+test('lists every problem, including misspelled keys and non-object settings', async () => {
+  await assert.rejects(
+    loadProfiles({
+      DE: { maxAdminLevell: 8, levels: { 4: 'Bundesland' } },
+      FR: { levels: [] },
+      AT: 'Austria',
+    }),
+    (err) => {
+      assert.ok(err instanceof ConfigError);
+      assert.match(err.message, /^Invalid configuration in .*profiles\.json:/);
+      assert.deepEqual(err.problems, [
+        'DE has unknown keys: maxAdminLevell',
+        'DE.levels.4 must be an object',
+        'FR.levels must be an object keyed by admin_level',
+        'AT must be an object',
+      ]);
+      return true;
+    },
+  );
+});
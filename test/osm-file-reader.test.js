@@ -0,0 +1,204 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { OSMFileReader } = require('../osm.js');
+
+const XML = `<?xml version="1.0" encoding="UTF-8"?>
+<osm version="0.6">
+  <node id="1" lat="50.1" lon="8.2"/>
+  <node id="2" lat="50.2" lon="8.3"><tag k="place" v="city"/></node>
+  <way id="10"><nd ref="1"/><nd ref="2"/><tag k="boundary" v="administrative"/><tag k="note" v="a > b"/></way>
+  <relation id="100" version="7" timestamp="2024-01-02T03:04:05Z">
+    <member type="way" ref="10" role="outer"/>
+    <member type="relation" ref="101" role="subarea"/>
+    <tag k="name" v="Fl&#246;rsheim &amp; Co"/>
+    <tag k="admin_level" v="8"/>
+  </relation>
+  <relation id="102"/>
+</osm>
+`;
+
+// Protobuf encoding helpers for hand-built PBF fixtures
+function varint(value) {
+  let v = BigInt.asUintN(64, BigInt(value));
+  const bytes = [];
+  do {
+    const byte = Number(v & 0x7fn);
+    v >>= 7n;
+    bytes.push(v ? byte | 0x80 : byte);
+  } while (v);
+  return Buffer.from(bytes);
+}
+
+const zigzag = (n) => (n < 0 ? -2 * n - 1 : 2 * n);
+const delta = (values) => values.map((v, i) => (i ? v - values[i - 1] : v));
+
+function field(number, value) {
+  if (typeof value === 'number') {
+    return Buffer.concat([varint(number * 8), varint(value)]);
+  }
+  const bytes = Buffer.isBuffer(value) ? value : Buffer.from(value);
+  return Buffer.concat([varint(number * 8 + 2), varint(bytes.length), bytes]);
+}
+
+const packed = (number, values) =>
+  field(number, Buffer.concat(values.map(varint)));
+const message = (...fields) => Buffer.concat(fields);
+
+function fileBlock(type, data, compress) {
+  const blob = compress
+    ? message(field(2, data.length), field(3, zlib.deflateSync(data)))
+    : message(field(1, data));
+  const header = message(field(1, type), field(3, blob.length));
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(header.length);
+  return Buffer.concat([length, header, blob]);
+}
+
+// Offsets of -2 and +3 degrees; nodes sit at 48.5/11.25 and 48.6/11.5
+const GRANULARITY = 100;
+const LAT_OFFSET = -2e9;
+const LON_OFFSET = 3e9;
+const rawLat = (deg) => Math.round((deg * 1e9 - LAT_OFFSET) / GRANULARITY);
+const rawLon = (deg) => Math.round((deg * 1e9 - LON_OFFSET) / GRANULARITY);
+
+function buildPbf() {
+  const strings = [
+    '',
+    'boundary',
+    'administrative',
+    'name',
+    'Testland',
+    'outer',
+  ];
+  const dense = message(
+    packed(1, delta([1, 2]).map(zigzag)),
+    packed(8, delta([rawLat(48.5), rawLat(48.6)]).map(zigzag)),
+    packed(9, delta([rawLon(11.25), rawLon(11.5)]).map(zigzag)),
+  );
+  const node = message(
+    field(1, zigzag(3)),
+    field(8, zigzag(rawLat(-1))),
+    field(9, zigzag(rawLon(-4))),
+  );
+  const way = message(
+    field(1, 20),
+    packed(2, [1]),
+    packed(3, [2]),
+    packed(8, delta([1, 2, 3, 1]).map(zigzag)),
+  );
+  const relation = message(
+    field(1, 30),
+    packed(2, [1, 3]),
+    packed(3, [2, 4]),
+    packed(8, [5, 0]),
+    packed(9, delta([20, 3]).map(zigzag)),
+    packed(10, [1, 0]),
+  );
+  const block = message(
+    field(1, message(...strings.map((s) => field(1, s)))),
+    field(2, message(field(2, dense), field(1, node))),
+    field(2, message(field(3, way), field(4, relation))),
+    field(17, GRANULARITY),
+    field(19, LAT_OFFSET),
+    field(20, LON_OFFSET),
+  );
+  return Buffer.concat([
+    fileBlock('OSMHeader', message(field(4, 'OsmSchema-V0.6')), false),
+    fileBlock('OSMData', block, true),
+  ]);
+}
+
+async function scanFile(name, contents) {
+  const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'osm-reader-'));
+  const file = path.join(dir, name);
+  await fs.promises.writeFile(file, contents);
+
+  const seen = { nodes: [], ways: [], relations: [] };
+  try {
+    await new OSMFileReader(file).scan({
+      node: (id, lat, lon) => seen.nodes.push([id, lat, lon]),
+      way: (way) => seen.ways.push(way),
+      relation: (relation) => seen.relations.push(relation),
+    });
+  } finally {
+    await fs.promises.rm(dir, { recursive: true, force: true });
+  }
+  return seen;
+}
+
+test('scans nodes, ways and relations from OSM XML', async () => {
+  const { nodes, ways, relations } = await scanFile('extract.osm', XML);
+
+  assert.deepEqual(nodes, [
+    [1, 50.1, 8.2],
+    [2, 50.2, 8.3],
+  ]);
+  assert.deepEqual(ways, [
+    {
+      id: 10,
+      refs: [1, 2],
+      tags: { boundary: 'administrative', note: 'a > b' },
+    },
+  ]);
+  assert.equal(relations.length, 2);
+  assert.deepEqual(relations[0], {
+    id: 100,
+    version: 7,
+    timestamp: '2024-01-02T03:04:05Z',
+    tags: { name: 'Flörsheim & Co', admin_level: '8' },
+    members: [
+      { type: 'way', ref: 10, role: 'outer' },
+      { type: 'relation', ref: 101, role: 'subarea' },
+    ],
+  });
+  assert.equal(relations[1].id, 102);
+});
+
+test('reads gzipped XML', async () => {
+  const { relations } = await scanFile('extract.osm.gz', zlib.gzipSync(XML));
+  assert.deepEqual(
+    relations.map((r) => r.id),
+    [100, 102],
+  );
+});
+
+test('decodes dense nodes, nodes, ways and relations from PBF', async () => {
+  const { nodes, ways, relations } = await scanFile(
+    'extract.osm.pbf',
+    buildPbf(),
+  );
+
+  const rounded = nodes.map(([id, lat, lon]) => [
+    id,
+    Math.round(lat * 1e7) / 1e7,
+    Math.round(lon * 1e7) / 1e7,
+  ]);
+  assert.deepEqual(rounded, [
+    [1, 48.5, 11.25],
+    [2, 48.6, 11.5],
+    [3, -1, -4],
+  ]);
+  assert.deepEqual(ways, [
+    { id: 20, refs: [1, 2, 3, 1], tags: { boundary: 'administrative' } },
+  ]);
+  assert.deepEqual(relations, [
+    {
+      id: 30,
+      tags: { boundary: 'administrative', name: 'Testland' },
+      members: [
+        { type: 'way', ref: 20, role: 'outer' },
+        { type: 'node', ref: 3, role: '' },
+      ],
+    },
+  ]);
+});
+
+test('picks the format from the file name', () => {
+  assert.equal(new OSMFileReader('de.osm.pbf').format, 'pbf');
+  assert.equal(new OSMFileReader('de.osm').format, 'xml');
+  assert.equal(new OSMFileReader('de.osm.gz').format, 'xml');
+});
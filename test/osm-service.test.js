@@ -0,0 +1,238 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  OSMService,
+  OverpassEndpointPool,
+  OverpassQueryError,
+} = require('../osm.js');
+
+const TIMED_OUT =
+  'runtime error: Query timed out in "query" at line 5 after 181 seconds.';
+
+const PARENT = {
+  osm_id: 5,
+  bounds: { minlon: 0, minlat: 0, maxlon: 8, maxlat: 8 },
+};
+
+/**
+ * OSMService whose Overpass endpoint is the given handler. The handler gets
+ * the parsed bbox filter (or null) and the query, and returns the JSON body.
+ */
+async function overpassService(handler, osm = {}) {
+  const service = new OSMService({
+    osm: {
+      endpoints: [
+        { name: 'test', url: 'http://overpass.test/api/interpreter' },
+      ],
+      timeout: 1000,
+      maxRetries: 3,
+      retryDelay: 1,
+      circuitBreakerThreshold: 3,
+      circuitBreakerResetMs: 1000,
+      maxSplitDepth: 3,
+      ...osm,
+    },
+    processing: { fetchGeometry: false },
+    cache: { mode: 'off' },
+  });
+  await service.initialize();
+  service.queries = [];
+  service.sleep = () => Promise.resolve();
+  service.fetch = service.endpoints.fetch = async (url, options) => {
+    // No /api/status page, so every query slot counts as free
+    if (!options?.body) return { ok: false, status: 404 };
+    const query = decodeURIComponent(options.body.slice('data='.length));
+    const match = query.match(/"administrative"\]\(([^)]*)\)/);
+    const bbox = match ? match[1].split(',').map(Number) : null;
+    service.queries.push(bbox);
+    const body = handler(bbox, query);
+    return { ok: true, status: 200, json: async () => body };
+  };
+  return service;
+}
+
+test('splits the parent bbox into quadrants on a timed-out remark', async () => {
+  const osm = await overpassService((bbox) => {
+    if (!bbox) return { remark: TIMED_OUT, elements: [] };
+    const [south, west] = bbox;
+    // Each tile finds its own boundary plus one that straddles all tiles
+    return {
+      elements: [{ id: 1000 + south * 10 + west }, { id: 1 }],
+    };
+  });
+
+  const children = await osm.fetchNextLevel(PARENT, 4);
+
+  assert.equal(osm.queries.length, 5);
+  assert.equal(osm.queries[0], null);
+  // Overpass bbox order is (south, west, north, east)
+  assert.deepEqual(osm.queries.slice(1), [
+    [0, 0, 4, 4],
+    [0, 4, 4, 8],
+    [4, 0, 8, 4],
+    [4, 4, 8, 8],
+  ]);
+  assert.deepEqual(
+    children.map((c) => c.id).sort((a, b) => a - b),
+    [1, 1000, 1004, 1040, 1044],
+  );
+});
+
+test('stops splitting at maxSplitDepth and surfaces the error', async () => {
+  const osm = await overpassService(
+    () => ({ remark: TIMED_OUT, elements: [] }),
+    {
+      maxSplitDepth: 2,
+    },
+  );
+
+  await assert.rejects(osm.fetchNextLevel(PARENT, 4), (err) => {
+    assert.ok(err instanceof OverpassQueryError);
+    assert.ok(err.oversized);
+    return true;
+  });
+  // Parent, first tile, first quarter tile - which fails without splitting
+  assert.deepEqual(osm.queries, [null, [0, 0, 4, 4], [0, 0, 2, 2]]);
+});
+
+test('retries other runtime errors without splitting', async () => {
+  let calls = 0;
+  const osm = await overpassService(() =>
+    ++calls === 1
+      ? { remark: 'runtime error: open64: 0 Success /osm3s_osm_base' }
+      : { elements: [{ id: 7 }] },
+  );
+
+  const children = await osm.fetchNextLevel(PARENT, 4);
+
+  assert.deepEqual(osm.queries, [null, null]);
+  assert.deepEqual(children, [{ id: 7 }]);
+});
+
+test('assigns batched children to the parent area they follow', async () => {
+  const area = (id) => ({ type: 'area', id: 3600000000 + id });
+  const rel = (id) => ({ type: 'relation', id });
+  const osm = await overpassService((bbox, query) => {
+    assert.match(query, /rel\(id:10,11,12\);/);
+    // 200 straddles 10 and 11; 12 has no children at this level
+    return {
+      elements: [
+        area(10),
+        rel(100),
+        rel(200),
+        area(11),
+        rel(110),
+        rel(200),
+        area(12),
+      ],
+    };
+  });
+
+  const children = await osm.fetchNextLevelBatch(
+    [{ id: 10 }, { id: 11 }, { osm_id: '12' }],
+    6,
+  );
+
+  assert.deepEqual(
+    [...children].map(([id, elements]) => [id, elements.map((e) => e.id)]),
+    [
+      ['10', [100, 200]],
+      ['11', [110, 200]],
+      ['12', []],
+    ],
+  );
+});
+
+test('parseStatus reads the rate limit, free slots and next slot', () => {
+  const pool = new OverpassEndpointPool({ osm: { endpoints: [] } });
+  const busy = `Connected as: 1234567890
+Current time: 2024-05-01T10:00:00Z
+Announced endpoint: gall.openstreetmap.de/
+Rate limit: 2
+Slot available after: 2024-05-01T10:00:12Z, in 12 seconds.
+Slot available after: 2024-05-01T10:00:40Z, in 40 seconds.
+Currently running queries (pid, space limit, time limit, start time):
+`;
+
+  assert.deepEqual(pool.parseStatus(busy), {
+    rateLimit: 2,
+    slotsAvailable: 0,
+    nextSlotIn: 12,
+  });
+  assert.deepEqual(
+    pool.parseStatus('Rate limit: 2\n2 slots available now.\n'),
+    { rateLimit: 2, slotsAvailable: 2, nextSlotIn: null },
+  );
+  assert.deepEqual(pool.parseStatus('Rate limit: 0\n'), {
+    rateLimit: 0,
+    slotsAvailable: 0,
+    nextSlotIn: null,
+  });
+});
+
+test('parseRetryAfter accepts seconds and HTTP dates', () => {
+  const pool = new OverpassEndpointPool({ osm: { endpoints: [] } });
+
+  assert.equal(pool.parseRetryAfter('30'), 30000);
+  assert.equal(pool.parseRetryAfter(null), null);
+  assert.equal(pool.parseRetryAfter('soon'), null);
+  const inFiveSeconds = new Date(Date.now() + 5000).toUTCString();
+  const ms = pool.parseRetryAfter(inFiveSeconds);
+  assert.ok(ms > 3000 && ms <= 5000, `got ${ms}`);
+  assert.equal(pool.parseRetryAfter('Thu, 01 Jan 1970 00:00:00 GMT'), 0);
+});
+
+test('a timed-out endpoint fails over to the next one', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const service = new OSMService({
+    osm: {
+      endpoints: [
+        { name: 'slow', url: 'http://slow.test/api/interpreter' },
+        { name: 'fast', url: 'http://fast.test/api/interpreter' },
+      ],
+      timeout: 20,
+      maxRetries: 1,
+      retryDelay: 60000,
+      circuitBreakerThreshold: 3,
+      circuitBreakerResetMs: 60000,
+    },
+    processing: { fetchGeometry: false },
+    cache: { mode: 'off' },
+  });
+  await service.initialize();
+
+  const requests = [];
+  service.fetch = service.endpoints.fetch = (url, options) => {
+    // No /api/status pages
+    if (!options.body) return Promise.resolve({ ok: false, status: 404 });
+    requests.push(url);
+    if (url.startsWith('http://fast.test')) {
+      return Promise.resolve({
+        ok: true,
+        status: 200,
+        json: async () => ({ elements: [{ id: 1 }] }),
+      });
+    }
+    // Answers far too late; the request's abort signal ends it first. The
+    // timer stands in for the open socket keeping the process alive.
+    return new Promise((resolve, reject) => {
+      const late = setTimeout(resolve, 5000, { ok: true, status: 200 });
+      options.signal.addEventListener('abort', () => {
+        clearTimeout(late);
+        reject(options.signal.reason);
+      });
+    });
+  };
+
+  const data = await service.runQuery('[out:json];rel(1);out;');
+
+  assert.deepEqual(data, { elements: [{ id: 1 }] });
+  assert.deepEqual(requests, [
+    'http://slow.test/api/interpreter',
+    'http://fast.test/api/interpreter',
+  ]);
+  const [slow, fast] = service.endpoints.endpoints;
+  assert.equal(slow.failures, 1);
+  assert.ok(slow.notBefore > Date.now());
+  assert.equal(fast.failures, 0);
+});
@@ -0,0 +1,142 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { BoundaryImporter, ReimportPolicy, Config } = require('../osm.js');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const daysAgo = (days) => new Date(Date.now() - days * DAY_MS).toISOString();
+
+function policyWith(reimport, maxAdminLevel = 10) {
+  return new ReimportPolicy({
+    processing: {
+      maxAdminLevel,
+      reimport: { onMaxLevelRaised: true, mode: 'update', ...reimport },
+    },
+  });
+}
+
+/**
+ * Run `fn` with Config.processing.reimport / Config.scheduler overridden
+ */
+async function withSettings(reimport, scheduler, fn) {
+  const saved = {
+    reimport: Config.processing.reimport,
+    scheduler: Config.scheduler,
+  };
+  Config.processing.reimport = { ...saved.reimport, ...reimport };
+  Config.scheduler = { ...saved.scheduler, ...scheduler };
+  try {
+    await fn();
+  } finally {
+    Config.processing.reimport = saved.reimport;
+    Config.scheduler = saved.scheduler;
+  }
+}
+
+/**
+ * Importer over in-memory import jobs; a job with last_success_at counts
+ * as processed
+ */
+function importerWith(jobs) {
+  const importer = new BoundaryImporter();
+  importer.db = {
+    getImportJob: async (countryId) => jobs[countryId] || null,
+    isCountryProcessed: async (countryId) =>
+      jobs[countryId]?.status === 'complete',
+  };
+  importer.processor = { policy: new ReimportPolicy(Config) };
+  importer.osm = { requestCount: 0 };
+  return importer;
+}
+
+const country = (iso2) => ({ iso2, name: iso2, countryId: `c/${iso2}` });
+
+test('dueReason by age and by a raised maxAdminLevel', () => {
+  const byAge = policyWith({ maxAgeDays: 30 });
+  assert.equal(byAge.dueReason({ last_success_at: daysAgo(10) }), null);
+  assert.equal(
+    byAge.dueReason({ last_success_at: daysAgo(45) }),
+    'last imported 45 days ago',
+  );
+  // Jobs from before last_success_at was recorded
+  assert.equal(
+    byAge.dueReason({ completed_at: daysAgo(31) }),
+    'last imported 31 days ago',
+  );
+  assert.equal(byAge.dueReason({}), 'no recorded import time');
+
+  const byLevel = policyWith({ maxAgeDays: null }, 10);
+  assert.equal(
+    byLevel.dueReason({ last_success_at: daysAgo(400), max_admin_level: 8 }),
+    'imported up to level 8, now 10',
+  );
+  assert.equal(byLevel.dueReason({ max_admin_level: 10 }), null);
+  assert.equal(
+    policyWith({ maxAgeDays: null, onMaxLevelRaised: false }).dueReason({
+      max_admin_level: 8,
+    }),
+    null,
+  );
+});
+
+test('dueCountries orders by last import and holds back recent ones', async () => {
+  await withSettings({ maxAgeDays: 0 }, { pollIntervalMs: 60000 }, async () => {
+    const importer = importerWith({
+      'c/DE': { status: 'complete', last_success_at: daysAgo(3) },
+      'c/FR': { status: 'complete', last_success_at: daysAgo(9) },
+      // Just imported, and just failed: both wait for the poll interval
+      'c/IT': { status: 'complete', last_success_at: new Date() },
+      'c/ES': { status: 'failed', updated_at: new Date() },
+      'c/PL': { status: 'failed', updated_at: daysAgo(1) },
+    });
+
+    const due = await importer.dueCountries(
+      ['DE', 'FR', 'IT', 'ES', 'PL', 'NL'].map(country),
+    );
+    // NL was never imported and PL never succeeded
+    assert.deepEqual(
+      due.map((c) => c.iso2),
+      ['PL', 'NL', 'FR', 'DE'],
+    );
+  });
+});
+
+test('maxAgeDays 0 in daemon mode does not re-import in a loop', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  await withSettings(
+    { maxAgeDays: 0 },
+    { maxRuntimeMs: 150, maxRequests: null, pollIntervalMs: 60000 },
+    async () => {
+      const jobs = {
+        'c/DE': { status: 'complete', last_success_at: daysAgo(1) },
+      };
+      const importer = importerWith(jobs);
+      const imported = [];
+      importer.processAndRecord = async ({ countryId }) => {
+        imported.push(countryId);
+        jobs[countryId].last_success_at = new Date().toISOString();
+      };
+
+      await importer.runScheduled([country('DE')]);
+      assert.deepEqual(imported, ['c/DE']);
+    },
+  );
+});
+
+test('runScheduled starts no country once the request budget is used', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  await withSettings(
+    { maxAgeDays: null },
+    { maxRuntimeMs: null, maxRequests: 2, pollIntervalMs: 60000 },
+    async () => {
+      const importer = importerWith({});
+      const imported = [];
+      importer.processAndRecord = async ({ iso2 }) => {
+        imported.push(iso2);
+        importer.osm.requestCount += 1;
+      };
+
+      await importer.runScheduled(['DE', 'FR', 'IT'].map(country));
+      assert.deepEqual(imported, ['DE', 'FR']);
+    },
+  );
+});
@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ResponseCache } = require('../osm.js');
+
+const QUERY = `
+[out:json][timeout:250];
+rel(51477);
+out body;
+`;
+const RESPONSE = { elements: [{ type: 'relation', id: 51477 }] };
+
+async function withCache(mode, fn) {
+  const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'osm-cache-'));
+  const config = { cache: { mode, dir, ttlMs: 60000 } };
+  try {
+    await fn(new ResponseCache(config), config);
+  } finally {
+    await fs.promises.rm(dir, { recursive: true, force: true });
+  }
+}
+
+test('serves a stored response for the same query', async () => {
+  await withCache('read-write', async (cache) => {
+    assert.equal(await cache.get(QUERY), null);
+    await cache.set(QUERY, RESPONSE);
+
+    // Whitespace and the timeout setting don't change the key
+    const reformatted = '[out:json][timeout:60]; rel(51477); out body;';
+    assert.deepEqual(await cache.get(reformatted), RESPONSE);
+    assert.equal(cache.hits, 1);
+    assert.equal(cache.misses, 1);
+  });
+});
+
+test('entries older than ttlMs are misses', async (t) => {
+  await withCache('read-write', async (cache, config) => {
+    await cache.set(QUERY, RESPONSE);
+
+    const now = Date.now();
+    t.mock.method(Date, 'now', () => now + config.cache.ttlMs + 1000);
+    assert.equal(await cache.get(QUERY), null);
+    assert.equal(cache.misses, 1);
+  });
+});
+
+test('replay mode ignores the TTL and fails on a miss', async (t) => {
+  await withCache('record', async (recorder, config) => {
+    await recorder.set(QUERY, RESPONSE);
+    // Record mode always refetches
+    assert.equal(await recorder.get(QUERY), null);
+
+    const replay = new ResponseCache({
+      cache: { ...config.cache, mode: 'replay' },
+    });
+    const now = Date.now();
+    t.mock.method(Date, 'now', () => now + config.cache.ttlMs * 10);
+    assert.deepEqual(await replay.get(QUERY), RESPONSE);
+
+    await assert.rejects(replay.get('[out:json];rel(62422);out body;'), {
+      fatal: true,
+      message: /Cache miss in replay mode/,
+    });
+  });
+});
+
+test('rejects an unknown mode', () => {
+  assert.throws(
+    () => new ResponseCache({ cache: { mode: 'sometimes' } }),
+    /Invalid cache mode "sometimes"/,
+  );
+});